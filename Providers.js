@@ -1,318 +1,4607 @@
 "strict"
 
 const express = require('express')
+const http = require('http')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { pathToFileURL } = require('url')
+const crypto = require('crypto')
+const semver = require('semver')
+const Ajv = require('ajv')
 
-const _endpointMethods = require('http').METHODS.map(m => m.toLowerCase()).concat(['ws'])
+const _endpointMethods = http.METHODS.map(m => m.toLowerCase()).concat(['ws'])
+
+const _providerStatuses = ['ready', 'degraded', 'failed']
+
+// Name and version of this utility, which providers can declare compatibility ranges for:
+const _utilityPackage = require('./package.json')
+
+const _compatibilityPolicies = ['error', 'warn', 'ignore']
+
+const _collisionPolicies = ['error', 'first-wins', 'last-wins', 'suffix']
+
+const _routeConflictPolicies = ['error', 'warn']
+
+// Ways of identifying the client of a request for rate limiting (in addition to custom functions):
+const _rateLimitKeys = ['ip', 'principal']
+
+// Key in each provider's StateStore that the version of the persisted state is recorded under (see 'stateVersion'):
+const _stateVersionKey = 'morrigan.stateVersion'
+
+// Key in each provider's StateStore that the index of rate limit buckets stored in it is recorded under (see _stateRateLimitStore):
+const _rateLimitIndexKey = 'morrigan.rateLimitIndex'
+
+// Endpoint routes are either '/' or a sequence of non-empty segments (optionally followed by a trailing slash):
+const _routePattern = /^\/(?:[^/\s#]+(?:\/[^/\s#]+)*\/?)?$/
+
+// Route segments that are a single named parameter (e.g. ':id'), other segments containing special characters are not compared:
+const _parameterSegment = /^:[A-Za-z0-9_]+$/
+const _literalSegment = /^[A-Za-z0-9\-_.~%]+$/
+
+// Metrics recorded for providers and their endpoints (see Providers.metrics):
+const _metricDefinitions = {
+    morrigan_http_requests_total: { type: 'counter', help: 'Number of HTTP requests handled by provider endpoints.' },
+    morrigan_http_request_duration_seconds: { type: 'histogram', help: 'Time taken to respond to HTTP requests to provider endpoints.' },
+    morrigan_ws_connections_total: { type: 'counter', help: 'Number of WebSocket connections accepted by provider endpoints.' },
+    morrigan_ws_connections_open: { type: 'gauge', help: 'Number of open WebSocket connections to provider endpoints.' },
+    morrigan_provider_setup_duration_seconds: { type: 'gauge', help: 'Time taken by the most recent setup of each provider.' }
+}
+
+// Upper bounds of the request duration histogram buckets, in seconds:
+const _durationBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+// Provider names are used as route segments, so they may only contain these characters (and may not consist of dots only):
+const _namePattern = /^[a-zA-Z0-9\-_.]+$/
+
+// Schema validators for request parameters (which arrive as strings and need coercion) and request bodies:
+const _parameterAjv = new Ajv({ strict: false, allErrors: true, logger: false, coerceTypes: 'array' })
+const _bodyAjv = new Ajv({ strict: false, allErrors: true, logger: false })
+// Validator for provider configurations, fills in defaults declared by the schema:
+const _configAjv = new Ajv({ strict: false, allErrors: true, logger: false, useDefaults: true })
+
+/**
+ * Normalizes a 'dependencies' declaration into an array of { name, version } objects.
+ *
+ * Dependencies can be declared either as an array, where each item is a provider name or
+ * an object with 'name' and (optionally) 'version' keys, or as an object mapping provider
+ * names to version ranges (similar to package.json).
+ *
+ * @param dependencies The dependencies declared by a provider.
+ * @returns An array of normalized dependency objects.
+ */
+function _normalizeDependencies(dependencies) {
+    if (!dependencies) {
+        return []
+    }
+
+    let list = null
+    if (Array.isArray(dependencies)) {
+        list = dependencies.map(d => (typeof d === 'string') ? { name: d } : d)
+    } else if (typeof dependencies === 'object') {
+        list = Object.keys(dependencies).map(name => ({ name, version: dependencies[name] }))
+    } else {
+        throw new Error(`expected an array or an object, found ${typeof dependencies}`)
+    }
+
+    return list.map(d => {
+        if (!d || typeof d.name !== 'string' || d.name.length === 0) {
+            throw new Error(`invalid dependency entry: ${JSON.stringify(d)}`)
+        }
+
+        let version = d.version || '*'
+        if (!semver.validRange(version)) {
+            throw new Error(`invalid version range '${version}' for dependency '${d.name}'`)
+        }
+
+        return { name: d.name, version }
+    })
+}
+
+/**
+ * Sorts providers topologically, so that every provider comes after its dependencies.
+ *
+ * Providers that are part of a dependency cycle are left out of the order and reported
+ * in 'cycles' instead, each cycle as a list of names starting and ending on the same provider.
+ *
+ * @param providers An object mapping provider names to provider modules.
+ * @param dependencies An object mapping provider names to normalized dependency lists (or an Error if the declaration was invalid).
+ * @returns An object with the keys 'order' (array of provider names) and 'cycles' (array of arrays of provider names).
+ */
+function _sortProviders(providers, dependencies) {
+    let order = []
+    let cycles = []
+    let state = {}
+    let cyclic = {}
+    let trail = []
+
+    let visit = (p) => {
+        if (state[p] === 'done') {
+            return
+        }
+
+        if (state[p] === 'visiting') {
+            let cycle = trail.slice(trail.indexOf(p)).concat([p])
+            cycle.forEach(c => { cyclic[c] = true })
+            cycles.push(cycle)
+            return
+        }
+
+        state[p] = 'visiting'
+        trail.push(p)
+
+        if (Array.isArray(dependencies[p])) {
+            dependencies[p].forEach(d => {
+                if (providers[d.name]) {
+                    visit(d.name)
+                }
+            })
+        }
+
+        trail.pop()
+        state[p] = 'done'
+
+        if (!cyclic[p]) {
+            order.push(p)
+        }
+    }
+
+    Object.keys(providers).forEach(visit)
+
+    return { order, cycles }
+}
+
+/**
+ * Normalizes the dependencies declared by a provider, returning the error instead of throwing it if the
+ * declaration is invalid (see _checkDependencies).
+ *
+ * @param provider The provider module.
+ * @returns An array of normalized dependency objects, or an Error.
+ */
+function _providerDependencies(provider) {
+    try {
+        return _normalizeDependencies(provider.dependencies)
+    } catch (e) {
+        return e
+    }
+}
+
+/**
+ * Plans the order in which a set of providers is set up (or validated), so that each provider comes after its dependencies.
+ *
+ * @param providers Object mapping provider names to provider modules.
+ * @returns An object with the keys 'dependencies' (mapping provider names to their normalized dependencies, or an Error),
+ *  'order' (the names of the providers that are not part of a cycle, in dependency order) and 'pending' (mapping the names
+ *  of providers that are part of a cycle to promises that resolve to the reason they are skipped, see _checkDependencies).
+ */
+function _planProviders(providers) {
+    let dependencies = {}
+    for (const p in providers) {
+        dependencies[p] = _providerDependencies(providers[p])
+    }
+
+    let { order, cycles } = _sortProviders(providers, dependencies)
+
+    let pending = {}
+    cycles.forEach(cycle => {
+        let reason = `Circular dependency detected: ${cycle.join(' -> ')}`
+        cycle.forEach(p => { pending[p] = Promise.resolve(reason) })
+    })
+
+    return { dependencies, order, pending }
+}
+
+/**
+ * Runtime information about set up providers, keyed by the 'providers' object returned from setup.
+ *
+ * Each context records the core environment, the order in which providers were set up and a record
+ * for each provider with its sub-router, the router it is mounted on, its environment and any open
+ * WebSocket connections.
+ */
+const _contexts = new WeakMap()
+
+/**
+ * Retrieves the runtime context for a 'providers' object, creating it if necessary.
+ *
+ * @param providers The providers object.
+ * @param environment The core environment used to set up the providers.
+ * @returns The context object for the providers.
+ */
+function _getContext(providers, environment) {
+    let context = _contexts.get(providers)
+    if (!context) {
+        context = { environment, order: [], records: {} }
+        _contexts.set(providers, context)
+    }
+    return context
+}
+
+/**
+ * Waits for a promise to settle, rejecting if it does not do so within the given time.
+ *
+ * @param promise The promise (or value) to wait for.
+ * @param timeout Number of milliseconds to wait before giving up.
+ * @param message Message for the error thrown on timeout. The error has 'timedOut' set to true.
+ * @returns The value that the promise resolved to.
+ */
+async function _withTimeout(promise, timeout, message) {
+    let timer = null
+    let expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error(message), { timedOut: true })), timeout)
+    })
+
+    try {
+        return await Promise.race([promise, expired])
+    } finally {
+        clearTimeout(timer)
+    }
+}
+
+/**
+ * Removes a router from the stack of the router it was mounted on.
+ *
+ * @param parent The router that the sub-router is mounted on.
+ * @param router The sub-router to unmount.
+ */
+function _unmountRouter(parent, router) {
+    if (!parent || !Array.isArray(parent.stack)) {
+        return
+    }
+
+    let i = parent.stack.findIndex(layer => layer.handle === router)
+    if (i !== -1) {
+        parent.stack.splice(i, 1)
+    }
+}
+
+/**
+ * Stops a single provider without unmounting it: closes its WebSocket connections and calls its 'teardown' hook.
+ *
+ * @param record The record for the provider.
+ * @param provider The provider module.
+ * @param providers The providers object.
+ * @param name Name of the provider to stop.
+ * @param log Logging function.
+ * @param timeout Number of milliseconds to wait for the 'teardown' hook to finish.
+ */
+async function _stopProvider(record, provider, providers, name, log, timeout) {
+    record.sockets.forEach((connection, ws) => {
+        try {
+            ws.close(1001, 'Provider shutting down')
+        } catch (e) {
+            log(`Failed to close WebSocket connection for provider '${name}': ${e}`, 'error')
+        }
+    })
+    record.sockets.clear()
+
+    if (provider && typeof provider.teardown === 'function') {
+        log(`Tearing down provider '${name}'...`)
+        try {
+            await _withTimeout(
+                (async () => provider.teardown(record.environment, providers))(),
+                timeout,
+                `'.teardown' did not finish within ${timeout}ms`
+            )
+        } catch (e) {
+            log(`An error occurred in '.teardown' on provider '${name}': ${e}`, 'error')
+            log(e, 'error')
+        }
+    }
+
+    if (record.registry) {
+        record.registry.release(name)
+    }
+}
+
+/**
+ * Stops a single provider: unmounts its router, closes its WebSocket connections and calls its 'teardown' hook.
+ *
+ * The provider is removed from the 'providers' object and the context once it has been stopped.
+ *
+ * @param context The runtime context of the providers.
+ * @param providers The providers object.
+ * @param name Name of the provider to stop.
+ * @param log Logging function.
+ * @param timeout Number of milliseconds to wait for the 'teardown' hook to finish.
+ */
+async function _teardownProvider(context, providers, name, log, timeout) {
+    let record = context.records[name]
+
+    _unmountRouter(record.parent, record.router)
+    await _stopProvider(record, providers[name], providers, name, log, timeout)
+
+    delete context.records[name]
+    context.order = context.order.filter(p => p !== name)
+    delete providers[name]
+}
+
+/**
+ * Replaces a mounted router with another one, keeping its position in the parent router's stack.
+ *
+ * The handle of the existing layer is swapped in place, so requests are routed either to the old
+ * or to the new router, never to neither.
+ *
+ * @param parent The router that the sub-router is mounted on.
+ * @param router The currently mounted sub-router.
+ * @param replacement The sub-router to mount in its place.
+ * @param route The route to mount the replacement on if the current router is not mounted.
+ */
+function _replaceRouter(parent, router, replacement, route) {
+    let layer = parent.stack.find(layer => layer.handle === router)
+    if (layer) {
+        layer.handle = replacement
+    } else {
+        parent.use(route, replacement)
+    }
+}
+
+/**
+ * Determines how long to wait for 'teardown' hooks, using 'environment.teardownTimeout' if set and Providers.teardownTimeout otherwise.
+ *
+ * @param environment Core environment.
+ * @returns Number of milliseconds to wait.
+ */
+function _teardownTimeout(environment) {
+    return (typeof environment.teardownTimeout === 'number') ? environment.teardownTimeout : Providers.teardownTimeout
+}
+
+/**
+ * Ensures that an environment object has a root router and a logging function.
+ *
+ * @param environment Core environment (may be omitted).
+ * @returns The environment object.
+ */
+function _prepareEnvironment(environment) {
+    // Ensure that we have an environment object
+    environment = environment || {}
+    // Make sure that we have a root router
+    environment.router = environment.router || express.Router()
+    environment.log = (typeof environment.log === 'function')? environment.log : Providers.defaultLogger
+    // Make sure that we have a service registry and event bus shared by the providers
+    environment.registry = environment.registry || _createRegistry(environment.log)
+    // Make sure that we have a metrics collector shared by the providers
+    environment.metrics = environment.metrics || _createMetrics()
+    // Make sure that we have a store for the rate limit buckets of endpoints
+    environment.rateLimitStore = environment.rateLimitStore || _createMemoryRateLimitStore()
+    return environment
+}
+
+/**
+ * Escapes a label value for the Prometheus text format.
+ *
+ * @param value The label value.
+ * @returns The escaped value.
+ */
+function _escapeLabel(value) {
+    return `${value}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+/**
+ * Formats a set of labels for the Prometheus text format.
+ *
+ * @param labels Object mapping label names to values.
+ * @returns The formatted labels, including braces (or an empty string if there are no labels).
+ */
+function _formatLabels(labels) {
+    let names = Object.keys(labels)
+    if (names.length === 0) {
+        return ''
+    }
+    return `{${names.map(name => `${name}="${_escapeLabel(labels[name])}"`).join(',')}}`
+}
+
+/**
+ * Creates a metrics collector for the metrics declared in _metricDefinitions.
+ *
+ * The collector has the following methods:
+ *  - increment(name, labels, value): Adds a value (default 1) to a counter or gauge.
+ *  - set(name, labels, value): Sets the value of a gauge.
+ *  - observe(name, labels, value): Records an observation in a histogram.
+ *  - snapshot(): Returns an object mapping metric names to { type, help, values }. Each value has the keys 'labels' and
+ *    'value', or (for histograms) 'labels', 'count', 'sum' and 'buckets' (cumulative counts keyed by upper bound).
+ *  - prometheus(): Returns the metrics in the Prometheus text exposition format.
+ *
+ * @returns The metrics collector.
+ */
+function _createMetrics() {
+    let series = {}
+    for (const name in _metricDefinitions) {
+        series[name] = new Map()
+    }
+
+    let entry = (name, labels) => {
+        let key = JSON.stringify(labels)
+        let values = series[name]
+        if (!values.has(key)) {
+            values.set(key, (_metricDefinitions[name].type === 'histogram')
+                ? { labels: Object.assign({}, labels), count: 0, sum: 0, buckets: _durationBuckets.map(() => 0) }
+                : { labels: Object.assign({}, labels), value: 0 })
+        }
+        return values.get(key)
+    }
+
+    return {
+        increment (name, labels, value) {
+            entry(name, labels).value += (value === undefined) ? 1 : value
+        },
+
+        set (name, labels, value) {
+            entry(name, labels).value = value
+        },
+
+        observe (name, labels, value) {
+            let histogram = entry(name, labels)
+            histogram.count++
+            histogram.sum += value
+            _durationBuckets.forEach((bound, i) => {
+                if (value <= bound) {
+                    histogram.buckets[i]++
+                }
+            })
+        },
+
+        snapshot () {
+            let result = {}
+            for (const name in series) {
+                let definition = _metricDefinitions[name]
+                result[name] = {
+                    type: definition.type,
+                    help: definition.help,
+                    values: Array.from(series[name].values()).map(value => {
+                        if (definition.type !== 'histogram') {
+                            return { labels: Object.assign({}, value.labels), value: value.value }
+                        }
+                        let buckets = {}
+                        _durationBuckets.forEach((bound, i) => { buckets[`${bound}`] = value.buckets[i] })
+                        buckets['+Inf'] = value.count
+                        return { labels: Object.assign({}, value.labels), count: value.count, sum: value.sum, buckets }
+                    })
+                }
+            }
+            return result
+        },
+
+        prometheus () {
+            let snapshot = this.snapshot()
+            let lines = []
+            for (const name in snapshot) {
+                let metric = snapshot[name]
+                lines.push(`# HELP ${name} ${metric.help}`)
+                lines.push(`# TYPE ${name} ${metric.type}`)
+                metric.values.forEach(value => {
+                    if (metric.type !== 'histogram') {
+                        lines.push(`${name}${_formatLabels(value.labels)} ${value.value}`)
+                        return
+                    }
+                    for (const bound in value.buckets) {
+                        lines.push(`${name}_bucket${_formatLabels(Object.assign({}, value.labels, { le: bound }))} ${value.buckets[bound]}`)
+                    }
+                    lines.push(`${name}_sum${_formatLabels(value.labels)} ${value.sum}`)
+                    lines.push(`${name}_count${_formatLabels(value.labels)} ${value.count}`)
+                })
+            }
+            return `${lines.join('\n')}\n`
+        }
+    }
+}
+
+/**
+ * Determines the position of a log level in Providers.logLevels.
+ *
+ * @param level The log level (defaults to 'info').
+ * @returns The index of the level, or -1 if it is not a known level.
+ */
+function _levelIndex(level) {
+    return Providers.logLevels.indexOf(level || 'info')
+}
+
+/**
+ * Checks whether a log entry should be logged given a minimum level. Entries with unknown levels are always logged.
+ *
+ * @param level The level of the log entry.
+ * @param minimum The minimum level to log (may be omitted).
+ * @returns True if the entry should be logged.
+ */
+function _isLevelEnabled(level, minimum) {
+    let index = _levelIndex(level)
+    return index === -1 || index >= Math.max(_levelIndex(minimum || Providers.logLevels[0]), 0)
+}
+
+/**
+ * Creates a child logger that attaches fields to every log entry and drops entries below a minimum level.
+ *
+ * The child logger has the same (msg, level) signature as any other logger, and passes the fields on to the
+ * parent logger as a third argument: parent(msg, level, fields). Fields given in a third argument to the child
+ * logger are merged into its own. The child logger also has one method per log level (e.g. log.warn(msg, fields))
+ * and a 'child' method to create nested child loggers.
+ *
+ * @param parent The parent logging function.
+ * @param fields Object with the fields to attach.
+ * @param minimum The minimum level to log (may be omitted).
+ * @returns The child logger.
+ */
+function _createChildLogger(parent, fields, minimum) {
+    let logger = (msg, level, extra) => {
+        level = level || 'info'
+        if (!_isLevelEnabled(level, minimum)) {
+            return
+        }
+        return parent(msg, level, Object.assign({}, fields, extra))
+    }
+
+    Providers.logLevels.forEach(level => {
+        logger[level] = (msg, extra) => logger(msg, level, extra)
+    })
+    logger.child = (more) => _createChildLogger(parent, Object.assign({}, fields, more), minimum)
+
+    return logger
+}
+
+/**
+ * Converts a log entry to a plain object for structured logging.
+ *
+ * String messages are added as 'message'. Errors are added as 'message' and 'error' ({ name, message, stack }).
+ * The keys of other objects are merged into the entry.
+ *
+ * @param msg The message to log.
+ * @param level The level of the log entry.
+ * @param fields Fields attached to the log entry.
+ * @returns The log entry object.
+ */
+function _logRecord(msg, level, fields) {
+    let record = Object.assign({ time: new Date().toISOString(), level: level || 'info' }, fields)
+
+    if (msg instanceof Error) {
+        record.message = msg.message
+        record.error = { name: msg.name, message: msg.message, stack: msg.stack }
+    } else if (msg && typeof msg === 'object') {
+        Object.assign(record, msg, { time: record.time, level: record.level })
+    } else {
+        record.message = `${msg}`
+    }
+
+    return record
+}
+
+/**
+ * Creates a service registry and event bus, shared by all providers set up with the same environment.
+ *
+ * Services:
+ *  - provide(serviceName, impl, provider): Registers a service implementation, replacing any previous one.
+ *  - consume(serviceName, options): Returns a promise that resolves to the implementation once it has been
+ *    provided. If 'options.timeout' is set, the promise is rejected if the service is not provided in time.
+ *  - unprovide(serviceName): Removes a service. Consumers that are already holding the implementation keep it.
+ *  - services(): Returns an object mapping registered service names to the names of the providers that provide them.
+ *
+ * Events:
+ *  - publish(topic, payload, sender): Publishes an event. The event name is the topic prefixed with the sender's
+ *    name ('<sender>.<topic>'). Returns a promise that resolves once all subscribers have handled the event.
+ *  - subscribe(pattern, handler, provider): Calls handler(payload, { event, topic, sender, timestamp }) for every event
+ *    whose name matches the pattern ('*' matches any sequence of characters). Returns a function that unsubscribes.
+ *
+ * Providers receive a view of the registry (see 'forProvider') where 'provider' and 'sender' are set to the
+ * provider's name, so that events are always tagged with the name of the provider that sent them.
+ *
+ * @param log Logging function.
+ * @returns The registry object.
+ */
+function _createRegistry(log) {
+    let services = new Map()
+    let waiting = new Map()
+    let subscriptions = new Set()
+
+    let registry = {
+        provide (serviceName, impl, provider) {
+            if (typeof serviceName !== 'string' || serviceName.length === 0) {
+                throw new Error(`Invalid service name: ${serviceName}`)
+            }
+
+            if (services.has(serviceName)) {
+                log(`Service '${serviceName}' provided by '${services.get(serviceName).provider}' is replaced by '${provider}'.`)
+            }
+            services.set(serviceName, { impl, provider: provider || null })
+
+            let resolvers = waiting.get(serviceName) || []
+            waiting.delete(serviceName)
+            resolvers.forEach(resolve => resolve(impl))
+        },
+
+        consume (serviceName, options) {
+            if (services.has(serviceName)) {
+                return Promise.resolve(services.get(serviceName).impl)
+            }
+
+            let timeout = options && options.timeout
+            return new Promise((resolve, reject) => {
+                let timer = null
+                let resolver = (impl) => {
+                    clearTimeout(timer)
+                    resolve(impl)
+                }
+
+                if (!waiting.has(serviceName)) {
+                    waiting.set(serviceName, [])
+                }
+                waiting.get(serviceName).push(resolver)
+
+                if (typeof timeout === 'number') {
+                    timer = setTimeout(() => {
+                        waiting.set(serviceName, (waiting.get(serviceName) || []).filter(r => r !== resolver))
+                        reject(new Error(`Service '${serviceName}' was not provided within ${timeout}ms`))
+                    }, timeout)
+                }
+            })
+        },
+
+        unprovide (serviceName) {
+            services.delete(serviceName)
+        },
+
+        services () {
+            let result = {}
+            services.forEach((service, serviceName) => { result[serviceName] = service.provider })
+            return result
+        },
+
+        async publish (topic, payload, sender) {
+            if (typeof topic !== 'string' || topic.length === 0) {
+                throw new Error(`Invalid event topic: ${topic}`)
+            }
+
+            let event = sender ? `${sender}.${topic}` : topic
+            let meta = { event, topic, sender: sender || null, timestamp: new Date().toISOString() }
+
+            let handlers = Array.from(subscriptions).filter(s => _matchesAny(event, [s.pattern]))
+            await Promise.all(handlers.map(async s => {
+                try {
+                    await s.handler(payload, meta)
+                } catch (e) {
+                    log(`An error occurred in a subscriber${s.provider ? ` of provider '${s.provider}'` : ''} while handling event '${event}': ${e}`, 'error')
+                }
+            }))
+        },
+
+        subscribe (pattern, handler, provider) {
+            if (typeof handler !== 'function') {
+                throw new Error(`Invalid event handler: ${handler}`)
+            }
+
+            let subscription = { pattern, handler, provider: provider || null }
+            subscriptions.add(subscription)
+            return () => subscriptions.delete(subscription)
+        },
+
+        /**
+         * Removes all services provided, and all subscriptions made, by a provider.
+         */
+        release (provider) {
+            services.forEach((service, serviceName) => {
+                if (service.provider === provider) {
+                    services.delete(serviceName)
+                }
+            })
+            subscriptions.forEach(subscription => {
+                if (subscription.provider === provider) {
+                    subscriptions.delete(subscription)
+                }
+            })
+        },
+
+        /**
+         * Creates a view of the registry for a provider, which tags services and events with the provider's name.
+         */
+        forProvider (provider) {
+            return {
+                provide: (serviceName, impl) => registry.provide(serviceName, impl, provider),
+                consume: (serviceName, options) => registry.consume(serviceName, options),
+                unprovide: (serviceName) => registry.unprovide(serviceName),
+                services: () => registry.services(),
+                publish: (topic, payload) => registry.publish(topic, payload, provider),
+                subscribe: (pattern, handler) => registry.subscribe(pattern, handler, provider)
+            }
+        }
+    }
+
+    return registry
+}
+
+/**
+ * Determines whether a module name is a path (absolute, or relative to this module) rather than a package name.
+ *
+ * @param moduleName The module name.
+ * @returns True if the module name is a path.
+ */
+function _isPath(moduleName) {
+    return path.isAbsolute(moduleName) || moduleName.startsWith('.')
+}
+
+/**
+ * Finds the directory of an installed package among the 'node_modules' directories that 'require' searches.
+ *
+ * Unlike 'require.resolve', this does not depend on the package's 'exports' map, so it also works for
+ * ESM-only packages.
+ *
+ * @param packageName The name of the package.
+ * @returns The absolute path of the package directory, or null if the package could not be found.
+ */
+function _findPackageDirectory(packageName) {
+    let paths = require.resolve.paths(packageName) || []
+    let directory = paths.map(p => path.join(p, packageName)).find(d => fs.existsSync(path.join(d, 'package.json')))
+    return directory || null
+}
+
+/**
+ * Reads a package.json file synchronously, bypassing the require cache.
+ *
+ * @param directory The directory containing the package.json.
+ * @returns The parsed package.json, or null if it does not exist or cannot be parsed.
+ */
+function _readPackageSync(directory) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(directory, 'package.json'), 'utf8'))
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Looks up the package version of a provider module.
+ *
+ * Modules specified by path (absolute, or relative to this module) are expected to be directories with a
+ * package.json, other modules are looked up among the 'node_modules' directories that 'require' searches.
+ *
+ * @param moduleName The name or path of the module.
+ * @returns The version declared in the module's package.json, or null if it could not be found.
+ */
+function _packageVersion(moduleName) {
+    let pkg = _modulePackage(moduleName)
+    return (pkg && pkg.version) ? pkg.version : null
+}
+
+/**
+ * Looks up the package.json of a provider module (see _packageVersion).
+ *
+ * @param moduleName The name or path of the module.
+ * @returns The parsed package.json, or null if it could not be found.
+ */
+function _modulePackage(moduleName) {
+    let directory = _isPath(moduleName) ? path.resolve(__dirname, moduleName) : _findPackageDirectory(moduleName)
+    return directory ? _readPackageSync(directory) : null
+}
+
+/**
+ * Checks the compatibility ranges declared by a provider against the version of this utility and the host version.
+ *
+ * Ranges for this utility are read from the module's 'compatibility.providers' and from the 'peerDependencies'
+ * entry for this utility in the module's package.json. Ranges for the host are read from the module's
+ * 'compatibility.host', from 'engines.morrigan' in the module's package.json and, if the host declares a name,
+ * from the 'peerDependencies' entry for the host.
+ *
+ * Incompatibilities are handled according to 'environment.compatibilityPolicy': 'error' (the default) refuses to load
+ * the provider, 'warn' logs a warning (and adds it to the report entry's 'warnings') and 'ignore' skips the check.
+ *
+ * @param providerSpec The normalized provider specification.
+ * @param environment Core environment.
+ * @param entry Optional setup report entry.
+ * @returns A description of the incompatibilities if the provider should be refused, otherwise null.
+ */
+function _checkCompatibility(providerSpec, environment, entry) {
+    const log = environment.log
+    let policy = _compatibilityPolicies.includes(environment.compatibilityPolicy) ? environment.compatibilityPolicy : 'error'
+    if (policy === 'ignore') {
+        return null
+    }
+
+    let host = environment.host
+    if (typeof host === 'string') {
+        host = { version: host }
+    }
+    host = host || {}
+
+    let declared = providerSpec.module.compatibility || {}
+    let pkg = (providerSpec.moduleName && _modulePackage(providerSpec.moduleName)) || {}
+    let peers = pkg.peerDependencies || {}
+    let engines = pkg.engines || {}
+
+    let checks = [
+        { target: _utilityPackage.name, version: _utilityPackage.version, range: declared.providers, source: `'compatibility.providers'` },
+        { target: _utilityPackage.name, version: _utilityPackage.version, range: peers[_utilityPackage.name], source: `package.json 'peerDependencies'` },
+        { target: host.name || 'host', version: host.version, range: declared.host, source: `'compatibility.host'` },
+        { target: host.name || 'host', version: host.version, range: engines.morrigan, source: `package.json 'engines.morrigan'` }
+    ]
+    if (host.name) {
+        checks.push({ target: host.name, version: host.version, range: peers[host.name], source: `package.json 'peerDependencies'` })
+    }
+
+    let problems = []
+    checks.filter(c => c.range !== undefined && c.range !== null).forEach(check => {
+        if (typeof check.range !== 'string' || !semver.validRange(check.range)) {
+            problems.push(`invalid ${check.target} range '${check.range}' in ${check.source}`)
+        } else if (!check.version) {
+            log(`Provider '${providerSpec.name}' requires ${check.target} '${check.range}' (${check.source}), but the environment does not declare a host version. Skipping check.`, 'warn')
+        } else if (!semver.satisfies(check.version, check.range, { includePrerelease: true })) {
+            problems.push(`requires ${check.target} '${check.range}' (${check.source}), found v${check.version}`)
+        }
+    })
+
+    if (problems.length === 0) {
+        return null
+    }
+
+    let description = `Provider '${providerSpec.name}' is incompatible: ${problems.join(', ')}`
+    if (policy === 'warn') {
+        log(`${description}. Loading it anyway.`, 'warn')
+        if (entry && Array.isArray(entry.warnings)) {
+            entry.warnings.push(description)
+        }
+        return null
+    }
+
+    log(`${description}. Skipping.`, 'error')
+    return description
+}
+
+/**
+ * Resolves the target of a package.json 'exports' (sub)path for ESM imports.
+ *
+ * @param exports The 'exports' field of a package.json.
+ * @param subpath The subpath to resolve ('.' for the package itself).
+ * @returns The relative path of the target file, or null if the subpath is not exported.
+ */
+function _exportsTarget(exports, subpath) {
+    if (!exports) {
+        return null
+    }
+
+    let conditional = (target) => {
+        if (typeof target === 'string') {
+            return target
+        }
+        if (Array.isArray(target)) {
+            return target.map(conditional).find(t => t) || null
+        }
+        if (target && typeof target === 'object') {
+            let condition = ['import', 'node', 'default', 'require'].find(c => target[c] !== undefined)
+            return condition ? conditional(target[condition]) : null
+        }
+        return null
+    }
+
+    if (typeof exports === 'string' || Array.isArray(exports)) {
+        return subpath === '.' ? conditional(exports) : null
+    }
+
+    let subpaths = Object.keys(exports).filter(k => k.startsWith('.'))
+    if (subpaths.length === 0) {
+        return subpath === '.' ? conditional(exports) : null
+    }
+
+    return (exports[subpath] !== undefined) ? conditional(exports[subpath]) : null
+}
+
+/**
+ * Resolves a module name to the absolute path of the file that should be imported as an ES module.
+ *
+ * @param moduleName The name or path of the module.
+ * @returns The absolute path of the entry file.
+ */
+function _resolveImportPath(moduleName) {
+    let directory = null
+    let subpath = '.'
+
+    if (_isPath(moduleName)) {
+        let fullPath = path.resolve(__dirname, moduleName)
+        if (!fs.statSync(fullPath).isDirectory()) {
+            return fullPath
+        }
+        directory = fullPath
+    } else {
+        let parts = moduleName.split('/')
+        let packageName = parts.splice(0, moduleName.startsWith('@') ? 2 : 1).join('/')
+        directory = _findPackageDirectory(packageName)
+        if (!directory) {
+            throw new Error(`Cannot find package '${packageName}'`)
+        }
+        if (parts.length > 0) {
+            subpath = `./${parts.join('/')}`
+        }
+    }
+
+    let pkg = _readPackageSync(directory) || {}
+    let target = _exportsTarget(pkg.exports, subpath)
+    if (!target && subpath !== '.') {
+        target = subpath
+    }
+    if (!target) {
+        target = pkg.main || 'index.js'
+    }
+
+    return path.resolve(directory, target)
+}
+
+/**
+ * Unwraps the default export of a module, if the module has no provider exports of its own.
+ *
+ * This applies both to ES module namespaces and to transpiled CommonJS modules (with '__esModule' set).
+ * ES module namespaces are copied to a plain object, since namespace objects cannot be extended.
+ *
+ * @param module The loaded module.
+ * @param esm True if the module is an ES module namespace.
+ * @returns The provider module.
+ */
+function _unwrapModule(module, esm) {
+    // Newer versions of Node can 'require' ES modules, returning their namespace object:
+    esm = esm || (module && module[Symbol.toStringTag] === 'Module')
+    let hasDefault = module && module.default !== undefined && (esm || module.__esModule)
+    if (hasDefault && module.name === undefined && module.setup === undefined && module.endpoints === undefined) {
+        return module.default
+    }
+    return esm ? Object.assign({}, module) : module
+}
+
+/**
+ * Loads a provider module, using 'require' for CommonJS modules and dynamic 'import' for ES modules.
+ *
+ * @param moduleName The name or path of the module.
+ * @param reload If true, the module is loaded again instead of being taken from the module cache.
+ * @returns The (unwrapped) provider module.
+ */
+async function _loadModule(moduleName, reload) {
+    let importPath = null
+
+    try {
+        if (reload) {
+            delete require.cache[require.resolve(moduleName)]
+        }
+        let module = require(moduleName)
+
+        // ES modules loaded through 'require' cannot be removed from the module cache, so they are imported instead:
+        if (!(reload && module && module[Symbol.toStringTag] === 'Module')) {
+            return _unwrapModule(module, false)
+        }
+        importPath = _resolveImportPath(moduleName)
+    } catch (e) {
+        if (!['ERR_REQUIRE_ESM', 'ERR_PACKAGE_PATH_NOT_EXPORTED', 'ERR_REQUIRE_ASYNC_MODULE', 'MODULE_NOT_FOUND'].includes(e.code)) {
+            throw e
+        }
+
+        // The module may still be loadable as an ES module (e.g. a package that only declares 'exports' for 'import'):
+        try {
+            importPath = _resolveImportPath(moduleName)
+        } catch {
+            throw e
+        }
+        if (!fs.existsSync(importPath)) {
+            throw e
+        }
+    }
+
+    let url = pathToFileURL(importPath)
+    if (reload) {
+        // ES modules cannot be removed from the module cache, so a unique URL is used instead:
+        url.searchParams.set('reload', `${Date.now()}-${Math.random().toString(16).slice(2)}`)
+    }
+
+    return _unwrapModule(await import(url.href), true)
+}
+
+
+/**
+ * Checks whether an identifier matches any of the given patterns.
+ *
+ * Patterns can be regular expressions or strings, where '*' matches any sequence of characters.
+ *
+ * @param id The identifier to check.
+ * @param patterns Array of patterns.
+ * @returns True if the identifier matches at least one pattern.
+ */
+function _matchesAny(id, patterns) {
+    return patterns.some(pattern => {
+        if (pattern instanceof RegExp) {
+            return pattern.test(id)
+        }
+        let parts = `${pattern}`.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        return new RegExp(`^${parts.join('.*')}$`).test(id)
+    })
+}
+
+/**
+ * Reads and parses a package.json file.
+ *
+ * @param directory The directory containing the package.json.
+ * @returns The parsed package.json, or null if it does not exist or cannot be parsed.
+ */
+async function _readPackage(directory) {
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(directory, 'package.json'), 'utf8'))
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Lists candidate provider modules in a directory: script files and directories containing a package.json or index.js.
+ *
+ * @param directory The directory to scan.
+ * @returns Array of { id, moduleName } objects, where 'id' is the file name without extension (or the package name) and 'moduleName' the absolute path.
+ */
+async function _scanDirectory(directory) {
+    let candidates = []
+    let entries = await fs.promises.readdir(directory, { withFileTypes: true })
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name.startsWith('.')) {
+            continue
+        }
+
+        let fullPath = path.join(directory, entry.name)
+
+        if (entry.isFile() && ['.js', '.cjs', '.mjs'].includes(path.extname(entry.name))) {
+            candidates.push({ id: path.basename(entry.name, path.extname(entry.name)), moduleName: fullPath })
+        } else if (entry.isDirectory()) {
+            let pkg = await _readPackage(fullPath)
+            if (pkg || fs.existsSync(path.join(fullPath, 'index.js'))) {
+                candidates.push({ id: (pkg && pkg.name) || entry.name, moduleName: fullPath })
+            }
+        }
+    }
+
+    return candidates
+}
+
+/**
+ * Lists packages in a node_modules directory (including scoped packages) that are marked as Morrigan providers,
+ * either by the 'morrigan-provider' keyword or by a 'morrigan' field in their package.json.
+ *
+ * If the 'morrigan' field is an object with a 'name' key, it is used as the name of the provider.
+ *
+ * @param directory The node_modules directory to scan.
+ * @returns Array of { id, moduleName, defaults } objects, where 'id' is the package name, 'moduleName' the absolute path and 'defaults' any spec keys derived from package.json.
+ */
+async function _scanNodeModules(directory) {
+    let candidates = []
+    let entries = await fs.promises.readdir(directory, { withFileTypes: true })
+
+    let packageDirectories = []
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name.startsWith('.') || !(entry.isDirectory() || entry.isSymbolicLink())) {
+            continue
+        }
+
+        if (entry.name.startsWith('@')) {
+            let scoped = await fs.promises.readdir(path.join(directory, entry.name))
+            scoped.sort().forEach(name => packageDirectories.push(path.join(directory, entry.name, name)))
+        } else {
+            packageDirectories.push(path.join(directory, entry.name))
+        }
+    }
+
+    for (const packageDirectory of packageDirectories) {
+        let pkg = await _readPackage(packageDirectory)
+        if (!pkg || !pkg.name) {
+            continue
+        }
+
+        let keyword = Array.isArray(pkg.keywords) && pkg.keywords.includes('morrigan-provider')
+        if (!keyword && pkg.morrigan === undefined) {
+            continue
+        }
+
+        let defaults = {}
+        if (pkg.morrigan && typeof pkg.morrigan === 'object' && typeof pkg.morrigan.name === 'string') {
+            defaults.name = pkg.morrigan.name
+        }
+
+        candidates.push({ id: pkg.name, moduleName: packageDirectory, defaults })
+    }
+
+    return candidates
+}
+
+/**
+ * Loads the module for a provider specification and normalizes the specification.
+ *
+ * @param providerSpec A provider specification (see Providers.setup).
+ * @param log Logging function.
+ * @param reload If true, modules loaded by name are loaded again instead of being taken from the module cache.
+ * @param entry Optional setup report entry, updated with the resolved name, module name and version, or the reason the specification was skipped.
+ * @returns The normalized provider specification, or null if the specification should be skipped.
+ */
+async function _loadProviderSpec(providerSpec, log, reload, entry) {
+    entry = entry || {}
+
+    let skip = (reason) => {
+        entry.status = 'skipped'
+        entry.reason = reason
+        return null
+    }
+
+    let load = (moduleName) => {
+        entry.moduleName = moduleName
+        return _loadModule(moduleName, reload)
+    }
+
+    // Resolve provider module:
+    switch (typeof providerSpec) {
+        case "string":
+            log(`Loading provider '${providerSpec}'...`)
+            providerSpec = {
+                moduleName: providerSpec,
+                module: await load(providerSpec)
+            }
+            break;
+        case "object":
+        case "function":
+            log(`Reading provider specification: ${JSON.stringify(providerSpec)}`)
+            if (providerSpec.module) {
+                log(`Key 'module' is specified as '${typeof providerSpec.module}'`)
+                if (typeof providerSpec.module == 'string') {
+                    log(`'module' key is a string, interpreting as moduleName and attempting to load module '${providerSpec.module}'...`)
+                    providerSpec = Object.assign({}, providerSpec, {
+                        moduleName: providerSpec.module,
+                        module: await load(providerSpec.module)
+                    })
+                }
+            } else if (providerSpec.moduleName) {
+                log(`'moduleName' key specified, loading provider module '${providerSpec.moduleName}'...`)
+                providerSpec.module = await load(providerSpec.moduleName)
+            } else {
+                log(`Provider specification '${providerSpec}' neither specifies moduleName or a preloaded module. Skipping.`)
+                return skip(`Neither 'moduleName' nor 'module' specified`)
+            }
+            break;
+        default:
+            log(`Invalid provider type for provider '${providerSpec}' (found ${typeof providerSpec}, expected 'string', 'function' or 'object')`)
+            return skip(`Invalid provider specification type '${typeof providerSpec}'`)
+    }
+
+    let provider = providerSpec.module
+
+    // Verify that the provider publishes a name:
+    if (!(providerSpec.name || provider.name)) {
+        log('Neither provider specification or provider module specify a name, skipping...')
+        return skip('Neither the provider specification nor the provider module specify a name')
+    }
+
+    if (!providerSpec.name && provider.name) {
+        log(`Provider publishes a name, specification does not, using module name ('${provider.name}')`)
+        providerSpec.name = provider.name
+    }
+
+    // Verify that the provider name is valid:
+    if (!_isValidName(providerSpec.name)) {
+        log(`Provider name '${providerSpec.name}' is invalid (should only contain alphanumeric characters, -, _ and .), skipping...`)
+        return skip(`Invalid provider name '${providerSpec.name}'`)
+    }
+
+    // Resolving version information:
+    let packageVersion = null
+    if (providerSpec.module.version) {
+        providerSpec.version = providerSpec.module.version
+    } else if(providerSpec.moduleName && (packageVersion = _packageVersion(providerSpec.moduleName))) {
+        providerSpec.version = provider.version = packageVersion
+    } else if (providerSpec.moduleName) {
+        log(`Provider '${providerSpec.name}' does not publish a version number and no package version was found. Setting version '0.0.0'`)
+        providerSpec.version = provider.version = "0.0.0"
+    } else {
+        log(`Provider '${providerSpec.name}' appears to be preloaded, but does no publish version number. Setting version '0.0.0'`)
+        providerSpec.version = provider.version = "0.0.0"
+    }
+
+    if (providerSpec.moduleName) {
+        log(`Registering provider module '${providerSpec.moduleName}' v${providerSpec.version} as '${providerSpec.name}'`)
+    } else {
+        log(`Registering anonymous provider module v${providerSpec.version} as '${providerSpec.name}'`)
+    }
+
+    entry.name = providerSpec.name
+    entry.moduleName = providerSpec.moduleName || null
+    entry.version = providerSpec.version
+
+    // Validate the provider's configuration:
+    if (provider.configSchema) {
+        let result = _resolveConfig(providerSpec.name, provider.configSchema, providerSpec.config, process.env)
+        if (result.error) {
+            log(`Invalid configuration for provider '${providerSpec.name}', skipping: ${result.error}`, 'error')
+            provider.error = new Error(`Invalid configuration: ${result.error}`)
+            return skip(`Invalid configuration: ${result.error}`)
+        }
+        result.overrides.forEach(variable => log(`Configuration for provider '${providerSpec.name}' overridden by environment variable '${variable}'`))
+        providerSpec.config = result.config
+    }
+
+    return providerSpec
+}
+
+/**
+ * Checks that a provider name can safely be used as a route segment.
+ *
+ * @param name The provider name.
+ * @returns True if the name is valid.
+ */
+function _isValidName(name) {
+    return typeof name === 'string' && _namePattern.test(name) && !/^\.+$/.test(name)
+}
+
+/**
+ * Checks whether a provider name is reserved, either by Providers.reservedNames or by 'environment.reservedNames'.
+ *
+ * Express routes are case-insensitive by default, so names are compared case-insensitively.
+ *
+ * @param name The provider name.
+ * @param environment Core environment.
+ * @returns True if the name is reserved.
+ */
+function _isReservedName(name, environment) {
+    let reserved = [].concat(Providers.reservedNames || [], environment.reservedNames || [])
+    return reserved.some(r => `${r}`.toLowerCase() === name.toLowerCase())
+}
+
+/**
+ * Converts a name to the form used in environment variable names: camelCase is split with underscores,
+ * other characters than letters and digits are replaced by underscores and the result is upper case.
+ *
+ * @param name The name to convert.
+ * @returns The converted name.
+ */
+function _variableName(name) {
+    return `${name}`.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^a-zA-Z0-9]+/g, '_').toUpperCase()
+}
+
+/**
+ * Converts the value of an environment variable to the type declared by a property schema.
+ *
+ * Values that cannot be converted are returned as strings, so that they fail validation.
+ *
+ * @param value The value of the environment variable.
+ * @param schema The schema of the property.
+ * @returns The converted value.
+ */
+function _parseVariable(value, schema) {
+    let types = Array.isArray(schema.type) ? schema.type : [schema.type]
+
+    if (types.includes('object') || types.includes('array')) {
+        try {
+            return JSON.parse(value)
+        } catch {
+            return value
+        }
+    }
+
+    if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value)
+    }
+
+    if (types.includes('boolean') && ['true', 'false'].includes(value.toLowerCase())) {
+        return value.toLowerCase() === 'true'
+    }
+
+    if (types.includes('null') && value === 'null') {
+        return null
+    }
+
+    return value
+}
+
+/**
+ * Resolves the configuration of a provider from its specification and environment variables, and validates it
+ * against the provider's 'configSchema'.
+ *
+ * Each top-level property declared by the schema can be overridden by an environment variable named
+ * 'MORRIGAN_<NAME>_<KEY>' (see _variableName). Defaults declared by the schema are applied after the overrides.
+ *
+ * @param name Name of the provider.
+ * @param schema The provider's 'configSchema' (a JSON Schema).
+ * @param config The configuration from the provider specification (may be omitted).
+ * @param variables Object containing environment variables.
+ * @returns An object with the keys 'config' (the resolved configuration), 'overrides' (names of the applied environment variables)
+ *  and 'error' (description of every violation, or null if the configuration is valid).
+ */
+function _resolveConfig(name, schema, config, variables) {
+    let validate = null
+    try {
+        validate = _configAjv.compile(schema)
+    } catch (e) {
+        return { config, overrides: [], error: `Unable to compile 'configSchema': ${e.message}` }
+    }
+
+    if (config === undefined || config === null) {
+        config = {}
+    } else if (typeof config === 'object') {
+        // Avoid modifying the configuration passed by the caller when applying overrides and defaults:
+        try {
+            config = structuredClone(config)
+        } catch {
+            config = Object.assign(Array.isArray(config) ? [] : {}, config)
+        }
+    }
+
+    let overrides = []
+    if (config && typeof config === 'object' && !Array.isArray(config) && schema.properties) {
+        let prefix = `MORRIGAN_${_variableName(name)}_`
+        for (const key in schema.properties) {
+            let variable = prefix + _variableName(key)
+            if (variables[variable] !== undefined) {
+                config[key] = _parseVariable(variables[variable], schema.properties[key] || {})
+                overrides.push(variable)
+            }
+        }
+    }
+
+    if (!validate(config)) {
+        let error = validate.errors.map(e => `config${e.instancePath.replace(/\//g, '.')} ${e.message}`).join(', ')
+        return { config, overrides, error }
+    }
+
+    return { config, overrides, error: null }
+}
+
+/**
+ * Loads a list of provider specifications, resolving reserved names, incompatibilities and name collisions
+ * (see Providers.setup), and adds the loaded provider modules to the providers object.
+ *
+ * @param providerSpecs Array of provider specifications.
+ * @param environment Core environment.
+ * @param providers The providers object.
+ * @param report The report to add entries to (see Providers.report).
+ * @returns An object with the keys 'specs' (mapping provider names to normalized specifications) and 'entries'
+ *  (mapping provider names to report entries).
+ */
+async function _loadProviderSpecs(providerSpecs, environment, providers, report) {
+    const log = environment.log
+
+    let providerSpecsMap = {}
+    let entries = {}
+    // Report entries of names that were dropped because of a collision (with the 'error' policy):
+    let collided = {}
+    let collisionPolicy = _collisionPolicies.includes(environment.collisionPolicy) ? environment.collisionPolicy : 'last-wins'
+
+    // Inventory the list of providers and generate a list of normalized provider specifications:
+    for (const [index, providerSpec] of providerSpecs.entries()) {
+        let entry = {
+            index,
+            name: null,
+            moduleName: null,
+            version: null,
+            status: null,
+            reason: null,
+            duration: 0,
+            attempts: 0,
+            warnings: [],
+            endpoints: { registered: [], rejected: [], conflicts: [] }
+        }
+        report.providers.push(entry)
+
+        try {
+            let spec = await _loadProviderSpec(providerSpec, log, false, entry)
+            let incompatible = spec && _checkCompatibility(spec, environment, entry)
+            if (incompatible) {
+                spec.module.error = new Error(incompatible)
+                entry.status = 'skipped'
+                entry.reason = incompatible
+                continue
+            }
+
+            if (!spec) {
+                continue
+            }
+
+            if (_isReservedName(spec.name, environment)) {
+                let reason = `The name '${spec.name}' is reserved`
+                log(`Skipping provider '${spec.name}': ${reason}.`, 'error')
+                spec.module.error = new Error(reason)
+                entry.status = 'skipped'
+                entry.reason = reason
+                continue
+            }
+
+            // Resolve name collisions with earlier provider specifications according to the collision policy:
+            let previous = entries[spec.name] || collided[spec.name]
+            if (previous) {
+                let collision = { name: spec.name, policy: collisionPolicy, indexes: [previous.index, index], renamedTo: null }
+                report.collisions.push(collision)
+
+                switch (collisionPolicy) {
+                    case 'error': {
+                        let reason = `The name '${spec.name}' is used by more than one provider specification`
+                        log(`Skipping provider specifications #${previous.index} and #${index}: ${reason}.`, 'error')
+                        spec.module.error = new Error(reason)
+                        entry.status = previous.status = 'skipped'
+                        entry.reason = previous.reason = reason
+                        if (entries[spec.name]) {
+                            providers[spec.name].error = new Error(reason)
+                            delete providers[spec.name]
+                            delete providerSpecsMap[spec.name]
+                            delete entries[spec.name]
+                        }
+                        collided[spec.name] = previous
+                        continue
+                    }
+                    case 'first-wins': {
+                        let reason = `The name '${spec.name}' is already used by provider specification #${previous.index}`
+                        log(`Skipping provider specification #${index}: ${reason}.`, 'error')
+                        entry.status = 'skipped'
+                        entry.reason = reason
+                        continue
+                    }
+                    case 'suffix': {
+                        let n = 2
+                        while (providers[`${spec.name}-${n}`] || entries[`${spec.name}-${n}`] || collided[`${spec.name}-${n}`]) {
+                            n++
+                        }
+                        log(`The name '${spec.name}' is already used by provider specification #${previous.index}, registering provider specification #${index} as '${spec.name}-${n}'.`, 'warn')
+                        spec.name = entry.name = collision.renamedTo = `${spec.name}-${n}`
+                        break
+                    }
+                    default:
+                        log(`The name '${spec.name}' is already used by provider specification #${previous.index}, replacing it with provider specification #${index}.`, 'warn')
+                        previous.status = 'skipped'
+                        previous.reason = `Replaced by provider specification #${index} with the same name`
+                }
+            }
+
+            providers[spec.name] = spec.module
+            providerSpecsMap[spec.name] = spec
+            entries[spec.name] = entry
+        } catch (e) {
+            log(`Failed to load provider module '${providerSpec}': ${e}`)
+            entry.status = 'failed'
+            entry.reason = `Failed to load provider module: ${e.message}`
+        }
+    }
+
+    return { specs: providerSpecsMap, entries }
+}
+
+/**
+ * Checks that the dependencies of a provider are available and satisfy the declared version ranges.
+ *
+ * @param providers The providers object.
+ * @param dependencies Normalized list of dependencies (or an Error if the declaration was invalid).
+ * @param pending Object mapping provider names to promises that resolve to the reason the provider was skipped (or null if it was not).
+ * @returns A description of the first unmet dependency, or null if all dependencies are met.
+ */
+async function _checkDependencies(providers, dependencies, pending) {
+    if (dependencies instanceof Error) {
+        return `Invalid dependency declaration: ${dependencies.message}`
+    }
+
+    for (const dependency of dependencies) {
+        if (pending[dependency.name] && await pending[dependency.name]) {
+            return `Dependency '${dependency.name}' was skipped`
+        }
+
+        if (!providers[dependency.name]) {
+            return `Missing dependency '${dependency.name}'`
+        }
+
+        if (providers[dependency.name].error) {
+            return `Dependency '${dependency.name}' failed during setup`
+        }
+
+        let version = providers[dependency.name].version || '0.0.0'
+        if (!semver.satisfies(version, dependency.version, { includePrerelease: true })) {
+            return `Dependency '${dependency.name}' v${version} does not satisfy the required version range '${dependency.version}'`
+        }
+    }
+
+    return null
+}
+
+/**
+ * Updates the status of a provider, as reported through 'setStatus' on the provider's environment.
+ *
+ * @param record The record for the provider.
+ * @param name Name of the provider.
+ * @param status The new status: 'ready', 'degraded' or 'failed'.
+ * @param reason Optional description of the status.
+ * @param log Logging function.
+ */
+function _setStatus(record, name, status, reason, log) {
+    if (!_providerStatuses.includes(status)) {
+        throw new Error(`Invalid provider status '${status}' (expected one of: ${_providerStatuses.join(', ')})`)
+    }
+
+    if (record.status !== status) {
+        log(`Provider '${name}' changed status from '${record.status}' to '${status}'${reason ? `: ${reason}` : ''}`, status === 'ready' ? 'info' : 'error')
+    }
+
+    record.status = status
+    record.reason = reason || null
+}
+
+/**
+ * Determines whether a provider can handle requests, i.e. whether its status is 'ready' or 'degraded'.
+ *
+ * @param record The record for the provider.
+ * @returns True if requests should be passed on to the provider's endpoints.
+ */
+function _isAvailable(record) {
+    return record.status === 'ready' || record.status === 'degraded'
+}
+
+/**
+ * Ranks a provider status by severity, treating any status other than 'ready' and 'degraded' (e.g. 'starting') as 'failed'.
+ *
+ * @param status The provider status.
+ * @returns 0 for 'ready', 1 for 'degraded' and 2 for anything else.
+ */
+function _statusSeverity(status) {
+    return ['ready', 'degraded'].includes(status) ? _providerStatuses.indexOf(status) : 2
+}
+
+/**
+ * Checks the health of a single provider, combining its setup status, any recorded error and its 'health' hook.
+ *
+ * The 'health' hook may return (or resolve to) a boolean, a status string or an object with the keys 'status'
+ * and 'details'. Hooks that throw, time out or return an unknown status count as 'failed'.
+ *
+ * @param record The record for the provider.
+ * @param provider The provider module.
+ * @param providers The providers object.
+ * @param timeout Number of milliseconds to wait for the 'health' hook.
+ * @returns An object with the keys 'status', 'setup', 'reason', 'details' and 'duration'.
+ */
+async function _checkHealth(record, provider, providers, timeout) {
+    let result = { status: record.status, setup: record.status, reason: record.reason, details: null, duration: 0 }
+
+    if (provider.error && result.status !== 'failed') {
+        result.status = 'failed'
+        result.reason = `${provider.error.message || provider.error}`
+    }
+
+    if (typeof provider.health !== 'function') {
+        return result
+    }
+
+    let start = performance.now()
+    let health = null
+    try {
+        health = await _withTimeout(
+            (async () => provider.health(record.environment, providers))(),
+            timeout,
+            `'.health' did not finish within ${timeout}ms`
+        )
+    } catch (e) {
+        health = { status: 'failed', details: { error: `${e.message || e}` } }
+    }
+    result.duration = performance.now() - start
+
+    if (typeof health === 'boolean') {
+        health = { status: health ? 'ready' : 'failed' }
+    } else if (typeof health === 'string') {
+        health = { status: health }
+    } else if (!health || typeof health !== 'object') {
+        health = { status: 'ready' }
+    }
+
+    let status = _providerStatuses.includes(health.status) ? health.status : 'failed'
+    result.details = (health.details !== undefined) ? health.details : null
+
+    // The worst status wins:
+    if (_statusSeverity(status) > _statusSeverity(result.status)) {
+        result.status = status
+        result.reason = health.reason || (_providerStatuses.includes(health.status) ? null : `Invalid health status '${health.status}'`)
+    }
+
+    return result
+}
+
+/**
+ * Creates the record for a provider, including a new (unmounted) sub-router.
+ *
+ * @param name Name of the provider.
+ * @param parent The router that the sub-router will be mounted on.
+ * @param previous The provider's previous record, if it is being replaced. The provider's StateStore is carried over from it.
+ * @returns The new record.
+ */
+function _createRecord(name, parent, previous) {
+    let router = express.Router({mergeParams: true})
+    router._morrigan = { route: `/${name}` }
+
+    return {
+        router,
+        parent,
+        environment: null,
+        state: previous ? previous.state : undefined,
+        spec: null,
+        status: 'starting',
+        reason: null,
+        attempts: 0,
+        sockets: new Map(),
+        rateLimitStore: null
+    }
+}
+
+/**
+ * Brings the state persisted in a provider's StateStore up to the version declared by the provider ('stateVersion'),
+ * running the provider's 'migrations' in order.
+ *
+ * 'migrations[i]' migrates the state from version i to version i + 1, so 'stateVersion' (which defaults to the number
+ * of migrations) must equal the number of migrations. Stores without a recorded version are treated as version 0. The
+ * version is recorded in the store after each migration, so a failed migration is retried from where it stopped.
+ *
+ * @param store The provider's StateStore.
+ * @param provider The provider module.
+ * @param name Name of the provider.
+ * @param log Logging function.
+ * @returns An object with the keys 'from' (the recorded version) and 'to' (the version the state was migrated to).
+ * @throws An Error if the declaration is invalid, the recorded version is newer than 'stateVersion' or a migration fails.
+ */
+async function _migrateState(store, provider, name, log) {
+    let migrations = (provider.migrations === undefined) ? [] : provider.migrations
+    if (!Array.isArray(migrations) || !migrations.every(m => typeof m === 'function')) {
+        throw new Error(`'migrations' should be an array of functions`)
+    }
+
+    let target = (provider.stateVersion === undefined) ? migrations.length : provider.stateVersion
+    if (!Number.isInteger(target) || target < 0) {
+        throw new Error(`'stateVersion' should be a non-negative integer`)
+    }
+    if (target !== migrations.length) {
+        throw new Error(`'stateVersion' is ${target}, but ${migrations.length} migration(s) are declared (one per version is required)`)
+    }
+
+    let recorded = await store.get(_stateVersionKey)
+    let current = (recorded === null || recorded === undefined) ? 0 : recorded
+    if (!Number.isInteger(current) || current < 0) {
+        throw new Error(`The recorded state version (${JSON.stringify(recorded)}) is invalid`)
+    }
+    if (current > target) {
+        throw new Error(`The persisted state has version ${current}, which is newer than the version supported by this provider (${target}). Downgrading is not supported`)
+    }
+
+    if (current < target) {
+        log(`Migrating the state of provider '${name}' from version ${current} to ${target}...`)
+    }
+
+    for (let version = current; version < target; version++) {
+        try {
+            await migrations[version](store, { from: version, to: version + 1, provider: name })
+        } catch (e) {
+            throw new Error(`The state migration from version ${version} to ${version + 1} failed: ${e.message || e}`)
+        }
+        await store.set(_stateVersionKey, version + 1)
+    }
+
+    if (recorded === null || recorded === undefined) {
+        await store.set(_stateVersionKey, target)
+    }
+
+    return { from: current, to: target }
+}
+
+/**
+ * Calls '.setup' on a provider, passing it a copy of the environment with its own router and StateStore.
+ *
+ * If the provider declares 'stateVersion' or 'migrations', its state is migrated before '.setup' is called. If the
+ * migration is refused or fails, '.setup' is not called and the provider is marked as failed.
+ *
+ * Any error thrown by '.setup' is logged and attached to the provider as 'error'. An 'error' left by a previous
+ * setup of the provider is cleared first.
+ *
+ * @param record The record for the provider.
+ * @param provider The provider module.
+ * @param providers The providers object.
+ * @param name Name of the provider.
+ * @param providerSpec The normalized provider specification.
+ * @param environment Core environment.
+ * @returns An object with the keys 'duration' (milliseconds that '.setup' took to finish), 'error' (the error thrown by '.setup', or the
+ *  reason the state migration was refused, if any) and 'reason' (a description of the error for the setup report).
+ */
+async function _runSetup(record, provider, providers, name, providerSpec, environment) {
+    record.spec = providerSpec
+    record.status = 'starting'
+    record.reason = null
+    // Errors from a previous setup of the same module (e.g. before a reload) no longer apply:
+    delete provider.error
+
+    if (typeof provider.setup !== 'function') {
+        record.status = 'ready'
+        if (environment.metrics) {
+            environment.metrics.set('morrigan_provider_setup_duration_seconds', { provider: name }, 0)
+        }
+        return { duration: 0, error: null, reason: null }
+    }
+
+    let env = record.environment = Object.assign({}, environment)
+    env.router = record.router
+    env.setStatus = (status, reason) => _setStatus(record, name, status, reason, environment.log)
+    env.log = _createChildLogger(environment.log, { provider: name, version: provider.version || '0.0.0' }, environment.logLevel)
+
+    if (environment.registry) {
+        record.registry = environment.registry
+        env.registry = environment.registry.forProvider(name)
+    }
+
+    // Providers that declare 'requires' (or all providers, if the environment enforces it) only receive the keys they require:
+    let scoped = Array.isArray(provider.requires) || environment.scopeEnvironments === true
+    let capabilities = scoped ? Providers.defaultCapabilities.concat(Array.isArray(provider.requires) ? provider.requires : []) : null
+
+    if (env.state && (!scoped || capabilities.includes('state'))) {
+        if (env.state.getStore) {
+            if (!record.state) {
+                record.state = await environment.state.getStore(name, 'simple')
+            }
+            env.state = record.state
+        } else {
+            delete env.state
+        }
+    }
+
+    // Bring the persisted state up to the version the provider expects before calling '.setup':
+    if (provider.stateVersion !== undefined || provider.migrations !== undefined) {
+        if (record.state) {
+            try {
+                await _migrateState(record.state, provider, name, environment.log)
+            } catch (e) {
+                environment.log(`Refusing to set up provider '${name}': ${e.message}.`, 'error')
+                provider.error = e
+                record.status = 'failed'
+                record.reason = e.message
+                return { duration: 0, error: e, reason: `The state migration was refused: ${e.message}` }
+            }
+        } else {
+            environment.log(`Provider '${name}' declares a state version, but has no StateStore. Skipping state migrations.`, 'warn')
+        }
+    }
+
+    if (scoped) {
+        env = record.environment = _scopeEnvironment(env, capabilities, name, environment)
+    }
+
+    let setting = (key, fallback) => {
+        if (providerSpec && typeof providerSpec[key] === 'number') {
+            return providerSpec[key]
+        }
+        return (typeof environment[key] === 'number') ? environment[key] : fallback
+    }
+    let timeout = setting('setupTimeout', Providers.setupTimeout)
+    let retries = setting('setupRetries', 0)
+    let retryDelay = setting('setupRetryDelay', 1000)
+
+    let start = performance.now()
+    let error = null
+    for (record.attempts = 1; ; record.attempts++) {
+        try {
+            await _withTimeout(
+                (async () => provider.setup(env, providers, providerSpec))(),
+                timeout,
+                `'.setup' did not finish within ${timeout}ms`
+            )
+            error = null
+            break
+        } catch(e) {
+            environment.log(`An error occurred in '.setup' on provider '${name}': ${e}`, 'error')
+            environment.log(e, 'error')
+            error = e
+        }
+
+        if (record.attempts > retries) {
+            break
+        }
+
+        // A '.setup' call that timed out may still be running, so calling it again could set the provider up twice:
+        if (error.timedOut) {
+            environment.log(`Not retrying '.setup' on provider '${name}', since the call that timed out may still be running.`, 'warn')
+            break
+        }
+
+        let delay = retryDelay * Math.pow(2, record.attempts - 1)
+        environment.log(`Retrying '.setup' on provider '${name}' in ${delay}ms (attempt ${record.attempts + 1} of ${retries + 1})...`)
+        await new Promise(resolve => setTimeout(resolve, delay))
+    }
+
+    if (error) {
+        provider.error = error
+        record.status = 'failed'
+        record.reason = `${error.message || error}`
+    } else if (record.status === 'starting') {
+        record.status = 'ready'
+    }
+
+    let duration = performance.now() - start
+    if (environment.metrics) {
+        environment.metrics.set('morrigan_provider_setup_duration_seconds', { provider: name }, duration / 1000)
+    }
+
+    return { duration, error, reason: error ? `An error occurred in '.setup': ${error.message || error}` : null }
+}
+
+/**
+ * Creates a frozen environment containing only the given capabilities (keys) of a provider environment.
+ *
+ * Required capabilities that the environment does not provide are logged as warnings. Reading a key that
+ * the core environment provides, but that the provider has not declared in 'requires', returns undefined
+ * and is logged as a warning (once per key).
+ *
+ * @param env The provider environment (a copy of the core environment with the provider's own router, logger, etc.).
+ * @param capabilities Array of the keys that the provider may access.
+ * @param name Name of the provider.
+ * @param environment Core environment.
+ * @returns The scoped environment.
+ */
+function _scopeEnvironment(env, capabilities, name, environment) {
+    const log = environment.log
+    let scoped = {}
+
+    capabilities.forEach(key => {
+        if (env[key] !== undefined) {
+            scoped[key] = env[key]
+        } else if (!Providers.defaultCapabilities.includes(key)) {
+            log(`Provider '${name}' requires '${key}', but the environment does not provide it.`, 'warn')
+        }
+    })
+
+    let reported = new Set()
+    return new Proxy(Object.freeze(scoped), {
+        get (target, key, receiver) {
+            if (typeof key === 'string' && !(key in target) && env[key] !== undefined && !reported.has(key)) {
+                reported.add(key)
+                log(`Provider '${name}' accessed the environment key '${key}', which it has not declared in 'requires'.`, 'warn')
+            }
+            return Reflect.get(target, key, receiver)
+        }
+    })
+}
+
+/**
+ * Checks that an endpoint declaration has a valid route, method and handler.
+ *
+ * @param endpoint The endpoint declaration.
+ * @returns A description of the problem if the endpoint is invalid, otherwise null.
+ */
+function _validateEndpoint(endpoint) {
+    if (!endpoint.route || typeof(endpoint.route) !== 'string' || !_routePattern.test(endpoint.route) || endpoint.route.split('/').some(segment => /^\.+$/.test(segment))) {
+        return `Invalid endpoint route specified: ${endpoint.route}`
+    }
+
+    if (!endpoint.method || typeof(endpoint.method) !== 'string' || !_endpointMethods.includes(endpoint.method.toLowerCase())) {
+        return `Invalid endpoint method specified: ${endpoint.method}`
+    }
+
+    if (!endpoint.handler || typeof(endpoint.handler) !== 'function') {
+        return `Invalid endpoint handler specified: ${endpoint.handler}`
+    }
+
+    let invalid = _validateSecurity(endpoint.security) || _validateMiddleware(endpoint.middleware) || _validateRateLimit(endpoint.rateLimit)
+    if (invalid) {
+        return `Invalid endpoint declaration for ${endpoint.method.toUpperCase()} ${endpoint.route}: ${invalid}`
+    }
+
+    return null
+}
+
+/**
+ * Splits a route into segments for comparison with other routes. A trailing slash is ignored, parameter
+ * segments are replaced by ':' and literal segments are lower-cased, since Express matches routes
+ * case-insensitively.
+ *
+ * @param route The route.
+ * @returns An array of segments, or null if the route contains patterns that can not be compared (e.g. wildcards or optional parameters).
+ */
+function _routeSegments(route) {
+    let segments = route.split('/').filter(segment => segment.length > 0)
+    if (!segments.every(segment => _parameterSegment.test(segment) || _literalSegment.test(segment))) {
+        return null
+    }
+    return segments.map(segment => _parameterSegment.test(segment) ? ':' : segment.toLowerCase())
+}
+
+/**
+ * Compares a route with a route registered before it for the same method.
+ *
+ * @param earlier The route registered first.
+ * @param later The route registered afterwards.
+ * @returns 'duplicate' if both routes match the same paths, 'shadowed' if every path matched by the later route
+ *  is also matched by the earlier route, otherwise null.
+ */
+function _compareRoutes(earlier, later) {
+    let a = _routeSegments(earlier)
+    let b = _routeSegments(later)
+    if (!a || !b) {
+        return (earlier === later) ? 'duplicate' : null
+    }
+
+    if (a.length !== b.length) {
+        return null
+    }
+    if (a.every((segment, i) => segment === b[i])) {
+        return 'duplicate'
+    }
+    if (a.every((segment, i) => segment === ':' || segment === b[i])) {
+        return 'shadowed'
+    }
+    return null
+}
+
+/**
+ * Finds endpoints that can not be reached because an endpoint declared before them by the same provider handles the same requests.
+ *
+ * Express dispatches each request to the first matching route, so an endpoint conflicts with an earlier endpoint with the same method
+ * if both have the same route ('duplicate'), or if the earlier route matches every path the later route matches ('shadowed',
+ * e.g. '/:id' declared before '/list'). WebSocket endpoints only conflict with other WebSocket endpoints. Invalid endpoints are ignored.
+ *
+ * @param endpoints Array of endpoint declarations.
+ * @returns An object mapping the indexes of conflicting endpoints to objects with the keys 'type', 'method', 'route', 'conflictsWith' and 'reason'.
+ */
+function _findRouteConflicts(endpoints) {
+    let conflicts = {}
+    let declared = []
+
+    endpoints.forEach((endpoint, index) => {
+        if (!endpoint || _validateEndpoint(endpoint)) {
+            return
+        }
+
+        let method = endpoint.method.toLowerCase()
+        let route = endpoint.route
+        for (const other of declared) {
+            let type = (other.method === method) ? _compareRoutes(other.route, route) : null
+            if (type) {
+                let label = method.toUpperCase()
+                let reason = (type === 'duplicate') ?
+                    `${label} ${route} duplicates ${label} ${other.route}, which is declared before it` :
+                    `${label} ${route} is shadowed by ${label} ${other.route}, which is declared before it`
+                conflicts[index] = { type, method, route, conflictsWith: other.route, reason }
+                return
+            }
+        }
+
+        // Endpoints that conflict are not compared against, as anything they shadow is shadowed by the earlier endpoint as well:
+        declared.push({ method, route })
+    })
+
+    return conflicts
+}
+
+/**
+ * Finds a route or middleware mounted directly on a router (i.e. not by a provider) that handles requests under a provider's mount path.
+ *
+ * Middleware mounted on '/' (e.g. body parsers) is not considered a conflict.
+ *
+ * @param router The router that providers are mounted on.
+ * @param name Name of the provider.
+ * @returns A description of the first conflicting route or middleware, or null if there is none.
+ */
+function _findMountConflict(router, name) {
+    let mountPath = `/${name}`
+
+    for (const layer of router.stack) {
+        if (layer.handle && layer.handle._morrigan) {
+            continue
+        }
+
+        if (layer.route) {
+            let path = layer.route.path
+            let conflicts = (typeof path === 'string') ?
+                (path.split('/')[1] || '').toLowerCase() === name.toLowerCase() :
+                layer.regexp.test(mountPath)
+            if (conflicts) {
+                let methods = Object.keys(layer.route.methods).map(m => m.toUpperCase()).join(', ')
+                return `route ${methods} ${path}`
+            }
+        } else if (!layer.regexp.fast_slash && layer.regexp.test(mountPath)) {
+            return (layer.name === 'router') ? 'a router' : `middleware '${layer.name}'`
+        }
+    }
+
+    return null
+}
+
+/**
+ * Checks whether routes or middleware on 'environment.router' conflict with a provider's mount path (see _findMountConflict).
+ *
+ * @param environment Core environment.
+ * @param name Name of the provider.
+ * @returns Null if there is no conflict, otherwise an object with the keys 'message' (a description of the conflict) and
+ *  'refused' (true if the provider should not be mounted because of 'environment.routeConflictPolicy').
+ */
+function _checkMountPath(environment, name) {
+    let conflict = _findMountConflict(environment.router, name)
+    if (!conflict) {
+        return null
+    }
+    return {
+        message: `The mount path '/${name}' conflicts with ${conflict} on 'environment.router'`,
+        refused: _routeConflictPolicy(environment) === 'error'
+    }
+}
+
+/**
+ * Determines how route conflicts are handled, based on 'environment.routeConflictPolicy'.
+ *
+ * @param environment Core environment.
+ * @returns Either 'error' or 'warn' (the default).
+ */
+function _routeConflictPolicy(environment) {
+    return _routeConflictPolicies.includes(environment.routeConflictPolicy) ? environment.routeConflictPolicy : 'warn'
+}
+
+/**
+ * Checks that a security declaration is either omitted, null, a middleware function or an object of the form { scopes, middleware }.
+ *
+ * @param security The security declaration.
+ * @returns A description of the problem if the declaration is invalid, otherwise null.
+ */
+function _validateSecurity(security) {
+    if (security === undefined || security === null || security === false || typeof security === 'function') {
+        return null
+    }
+
+    if (typeof security !== 'object') {
+        return `'security' should be a middleware function, an object or null (found ${typeof security})`
+    }
+
+    if (security.scopes !== undefined && !(Array.isArray(security.scopes) && security.scopes.every(s => typeof s === 'string'))) {
+        return `'security.scopes' should be an array of strings`
+    }
+
+    if (security.middleware !== undefined && security.middleware !== null && typeof security.middleware !== 'function') {
+        return `'security.middleware' should be a middleware function or null`
+    }
+
+    return null
+}
+
+/**
+ * Checks that a middleware declaration is either omitted, a middleware function or an array of middleware functions.
+ *
+ * @param middleware The middleware declaration.
+ * @returns A description of the problem if the declaration is invalid, otherwise null.
+ */
+function _validateMiddleware(middleware) {
+    if (middleware === undefined || middleware === null || typeof middleware === 'function') {
+        return null
+    }
+
+    if (!Array.isArray(middleware) || !middleware.every(m => typeof m === 'function')) {
+        return `'middleware' should be a middleware function or an array of middleware functions`
+    }
+
+    return null
+}
+
+/**
+ * Checks that a rate limit declaration is either omitted, null, false or an object of the form { limit, window, key, store }.
+ *
+ * @param rateLimit The rate limit declaration.
+ * @returns A description of the problem if the declaration is invalid, otherwise null.
+ */
+function _validateRateLimit(rateLimit) {
+    if (rateLimit === undefined || rateLimit === null || rateLimit === false) {
+        return null
+    }
+
+    if (typeof rateLimit !== 'object') {
+        return `'rateLimit' should be an object, false or null (found ${typeof rateLimit})`
+    }
+
+    if (!Number.isInteger(rateLimit.limit) || rateLimit.limit < 1) {
+        return `'rateLimit.limit' should be a positive integer`
+    }
+
+    if (rateLimit.window !== undefined && !(typeof rateLimit.window === 'number' && rateLimit.window > 0)) {
+        return `'rateLimit.window' should be a positive number of milliseconds`
+    }
+
+    if (rateLimit.key !== undefined && !_rateLimitKeys.includes(rateLimit.key) && typeof rateLimit.key !== 'function') {
+        return `'rateLimit.key' should be one of ${_rateLimitKeys.map(k => `'${k}'`).join(', ')} or a function`
+    }
+
+    let store = rateLimit.store
+    if (store !== undefined && store !== 'state' && !(store && typeof store.get === 'function' && typeof store.set === 'function')) {
+        return `'rateLimit.store' should be 'state' or an object with 'get' and 'set' methods`
+    }
+
+    return null
+}
+
+/**
+ * Creates the default in-memory store for rate limit buckets (see 'environment.rateLimitStore').
+ *
+ * Buckets are dropped once they would have refilled completely, since a missing bucket is treated as full: when they
+ * are read, and in a sweep that runs at most once every Providers.rateLimitSweepInterval milliseconds.
+ *
+ * @returns An object with the methods 'get(key)' and 'set(key, bucket)'.
+ */
+function _createMemoryRateLimitStore() {
+    let buckets = new Map()
+    let lastSweep = Date.now()
+
+    return {
+        get: async (key) => {
+            let entry = buckets.get(key)
+            if (entry && entry.expires <= Date.now()) {
+                buckets.delete(key)
+                return null
+            }
+            return entry ? entry.bucket : null
+        },
+        set: async (key, bucket) => {
+            buckets.set(key, { bucket, expires: bucket.full })
+            // Sweep expired buckets every now and then, so that clients that stop sending requests do not accumulate:
+            let now = Date.now()
+            if (now - lastSweep >= Providers.rateLimitSweepInterval) {
+                lastSweep = now
+                buckets.forEach((entry, k) => {
+                    if (entry.expires <= now) {
+                        buckets.delete(k)
+                    }
+                })
+            }
+        }
+    }
+}
+
+/**
+ * Adapts a provider's StateStore for use as a rate limit store ('rateLimit.store' set to 'state').
+ *
+ * StateStores can not list their keys, so the adapter keeps an index of the buckets it has written, persisted in the
+ * store itself so that buckets written before a restart are cleaned up as well. Buckets are removed once they would
+ * have refilled completely (a missing bucket is treated as full): when they are read, and in a sweep of the index
+ * that runs at most once every Providers.rateLimitSweepInterval milliseconds.
+ *
+ * @param state The provider's StateStore.
+ * @returns An object with the methods 'get(key)' and 'set(key, bucket)'.
+ */
+function _stateRateLimitStore(state) {
+    // Promise resolving to an object that maps the keys of stored buckets to the time at which they will be full:
+    let index = null
+    let lastSweep = Date.now()
+
+    let load = () => {
+        index = index || state.get(_rateLimitIndexKey).then(saved => (saved && typeof saved === 'object') ? saved : {})
+        return index
+    }
+
+    return {
+        get: async (key) => {
+            let bucket = await state.get(key)
+            if (bucket && bucket.full <= Date.now()) {
+                await state.remove(key)
+                return null
+            }
+            return bucket
+        },
+        set: async (key, bucket) => {
+            let entries = await load()
+            let added = !(key in entries)
+            entries[key] = bucket.full
+            await state.set(key, bucket)
+
+            let now = Date.now()
+            if (now - lastSweep >= Providers.rateLimitSweepInterval) {
+                lastSweep = now
+                for (const k of Object.keys(entries)) {
+                    if (entries[k] <= now) {
+                        delete entries[k]
+                        await state.remove(k)
+                    }
+                }
+                await state.set(_rateLimitIndexKey, entries)
+            } else if (added) {
+                await state.set(_rateLimitIndexKey, entries)
+            }
+        }
+    }
+}
+
+/**
+ * Determines the key that identifies the client of a request for rate limiting.
+ *
+ * @param key The 'key' of the rate limit declaration: 'ip' (the default), 'principal' or a function (req) => key.
+ * @param req The request object.
+ * @param environment Core environment.
+ * @returns A promise that resolves to the key.
+ */
+async function _rateLimitKey(key, req, environment) {
+    if (typeof key === 'function') {
+        return `${await key(req)}`
+    }
+
+    if (key === 'principal') {
+        let principal = null
+        if (typeof environment.principal === 'function') {
+            principal = await environment.principal(req)
+        } else if (req.user) {
+            principal = (typeof req.user === 'object') ? (req.user.id || req.user.sub || req.user.name) : req.user
+        }
+        if (principal !== null && principal !== undefined) {
+            return `principal:${principal}`
+        }
+    }
+
+    // Anonymous requests are limited by their IP address:
+    return `ip:${req.ip || (req.socket && req.socket.remoteAddress)}`
+}
+
+/**
+ * Creates a middleware function that enforces a rate limit on an endpoint, using a token bucket per client.
+ *
+ * Each bucket holds up to 'limit' tokens and refills at a rate of 'limit' tokens per 'window' milliseconds, and each
+ * request takes one token. Requests that find the bucket empty are answered with status 429 and a 'Retry-After' header.
+ * All responses get 'RateLimit-Limit', 'RateLimit-Remaining' and 'RateLimit-Reset' headers. If the store fails, the
+ * error is logged and the request is let through.
+ *
+ * @param rateLimit The rate limit declaration (see Providers.setup).
+ * @param details Object with the keys 'provider', 'method' and 'route'.
+ * @param record The record for the provider, used to resolve the 'state' store.
+ * @param environment Core environment.
+ * @returns The middleware function.
+ */
+function _createRateLimiter(rateLimit, details, record, environment) {
+    const log = environment.log
+    let limit = rateLimit.limit
+    let window = rateLimit.window || 60000
+    // Tokens added to a bucket per millisecond:
+    let rate = limit / window
+    let prefix = `rate-limit:${details.provider}:${details.method.toUpperCase()} ${details.route}`
+
+    let store = rateLimit.store || environment.rateLimitStore
+    if (rateLimit.store === 'state') {
+        // All endpoints of the provider share one adapter, and with it the index of their buckets:
+        if (record.state) {
+            record.rateLimitStore = record.rateLimitStore || _stateRateLimitStore(record.state)
+        }
+        store = record.rateLimitStore
+        if (!store) {
+            log(`${details.method.toUpperCase()} ${details.route} declares the 'state' rate limit store, but provider '${details.provider}' has no StateStore. Using 'environment.rateLimitStore' instead.`, 'warn')
+            store = environment.rateLimitStore
+        }
+    }
+
+    return async (req, res, next) => {
+        let key = `${prefix}:${await _rateLimitKey(rateLimit.key, req, environment)}`
+        let now = Date.now()
+
+        let tokens = limit
+        try {
+            let bucket = await store.get(key)
+            if (bucket && typeof bucket.tokens === 'number') {
+                tokens = Math.min(limit, bucket.tokens + (now - bucket.updated) * rate)
+            }
+            let allowed = tokens >= 1
+            if (allowed) {
+                tokens -= 1
+            }
+            await store.set(key, { tokens, updated: now, full: now + Math.ceil((limit - tokens) / rate) })
+
+            res.set('RateLimit-Limit', `${limit}`)
+            res.set('RateLimit-Remaining', `${Math.floor(tokens)}`)
+            res.set('RateLimit-Reset', `${Math.ceil((limit - tokens) / rate / 1000)}`)
+
+            if (allowed) {
+                return next()
+            }
+        } catch (e) {
+            log(`The rate limit store failed for ${details.method.toUpperCase()} ${details.route} on provider '${details.provider}', allowing the request: ${e}`, 'error')
+            return next()
+        }
+
+        let retryAfter = Math.ceil((1 - tokens) / rate / 1000)
+        res.set('Retry-After', `${retryAfter}`)
+        res.status(429).json({
+            error: 'Too Many Requests',
+            message: `The rate limit of ${limit} request(s) per ${window}ms has been exceeded. Retry after ${retryAfter} second(s).`,
+            provider: details.provider,
+            retryAfter
+        })
+    }
+}
+
+/**
+ * Resolves the security that applies to an endpoint.
+ *
+ * The security declared by the endpoint takes precedence over the security declared by the provider, which takes
+ * precedence over 'environment.security'. A declaration of null means that no security applies. Object declarations
+ * ({ scopes, middleware }) use 'environment.security' as middleware unless they declare their own 'middleware'.
+ *
+ * @param endpoint The endpoint declaration.
+ * @param provider The provider module.
+ * @param environment Core environment.
+ * @returns An object with the keys 'middleware' (a middleware function or null) and 'scopes' (an array of required scopes, empty if none are required).
+ */
+function _resolveSecurity(endpoint, provider, environment) {
+    let security = environment.security
+    if (provider.security || provider.security === null) {
+        security = provider.security
+    }
+    if (endpoint.security || endpoint.security === null) {
+        security = endpoint.security
+    }
+
+    if (!security) {
+        return { middleware: null, scopes: [] }
+    }
+
+    if (typeof security === 'function') {
+        return { middleware: security, scopes: [] }
+    }
+
+    let middleware = (typeof environment.security === 'function') ? environment.security : null
+    if (security.middleware !== undefined) {
+        middleware = security.middleware || null
+    }
+
+    return { middleware, scopes: Array.isArray(security.scopes) ? security.scopes : [] }
+}
+
+/**
+ * Describes the security applied to an endpoint, for route listings (see Providers.validate).
+ *
+ * @param endpoint The endpoint declaration.
+ * @param provider The provider module.
+ * @param environment Core environment.
+ * @returns A description such as 'none', 'environment', 'middleware (requireAuth)' or 'environment + scopes: orders:read'.
+ */
+function _describeSecurity(endpoint, provider, environment) {
+    let declared = undefined
+    if (provider.security || provider.security === null) {
+        declared = provider.security
+    }
+    if (endpoint.security || endpoint.security === null) {
+        declared = endpoint.security
+    }
+
+    let security = _resolveSecurity(endpoint, provider, environment)
+    let parts = []
+    if (declared === undefined || (declared && typeof declared === 'object' && declared.middleware === undefined)) {
+        parts.push('environment')
+    } else if (security.middleware) {
+        parts.push(security.middleware.name ? `middleware (${security.middleware.name})` : 'middleware')
+    }
+    if (security.scopes.length > 0) {
+        parts.push(`scopes: ${security.scopes.join(', ')}`)
+    }
+
+    return parts.join(' + ') || 'none'
+}
+
+/**
+ * Creates a middleware function that checks that a request is granted the scopes required by an endpoint,
+ * using the 'authorize' hook of the environment.
+ *
+ * Requests that are not granted the scopes (or all requests, if the environment does not declare an 'authorize'
+ * hook) are answered with status 403. Errors thrown by the hook are handled like endpoint errors.
+ *
+ * @param scopes The scopes required by the endpoint.
+ * @param details Object with the keys 'provider', 'method' and 'route'.
+ * @param environment Core environment.
+ * @returns The middleware function.
+ */
+function _createScopeCheck(scopes, details, environment) {
+    return async (req, res, next) => {
+        let granted = false
+        if (typeof environment.authorize === 'function') {
+            try {
+                granted = await environment.authorize(req, scopes, details)
+            } catch (e) {
+                _handleError(e, req, res, details, environment)
+                return
+            }
+        }
+
+        if (!granted) {
+            res.status(403).json({
+                error: 'Forbidden',
+                message: `This endpoint requires the following scope(s): ${scopes.join(', ')}.`,
+                scopes
+            })
+            return
+        }
+
+        next()
+    }
+}
+
+/**
+ * Wraps a middleware function, catching both thrown errors and rejected promises.
+ *
+ * @param middleware The middleware function.
+ * @param details Object with the keys 'provider', 'method' and 'route'.
+ * @param environment Core environment.
+ * @returns The wrapped middleware function.
+ */
+function _wrapMiddleware(middleware, details, environment) {
+    return async (req, res, next) => {
+        try {
+            await middleware(req, res, next)
+        } catch (e) {
+            _handleError(e, req, res, details, environment)
+        }
+    }
+}
+
+/**
+ * Converts an endpoint route to an OpenAPI path, prefixed by the base path and the provider's mount path.
+ *
+ * Express route parameters (':param') are converted to OpenAPI path templates ('{param}').
+ *
+ * @param basePath The path that 'environment.router' is mounted on.
+ * @param name Name of the provider.
+ * @param route The endpoint route.
+ * @returns An object with the keys 'path' (the OpenAPI path) and 'parameters' (names of the path parameters).
+ */
+function _openapiPath(basePath, name, route) {
+    let parameters = []
+    let openapiPath = `${basePath}/${name}${route === '/' ? '' : route}`.replace(/:([A-Za-z0-9_]+)(\([^)]*\))?\??/g, (match, parameter) => {
+        parameters.push(parameter)
+        return `{${parameter}}`
+    })
+    return { path: openapiPath, parameters }
+}
+
+/**
+ * Merges an endpoint's OpenAPI path item into the path item collected for its path.
+ *
+ * Operations are tagged with the provider name, 'parameters' lists are merged (keyed by 'name' and 'in'),
+ * and any other field declared by more than one endpoint is taken from the last one. Fields are copied as
+ * JSON, so fields that are undefined are left out.
+ *
+ * @param target The path item collected so far.
+ * @param source The endpoint's path item.
+ * @param tag The provider name to tag operations with.
+ */
+function _mergePathItem(target, source, tag) {
+    for (const key in source) {
+        let json = JSON.stringify(source[key])
+        if (json === undefined) {
+            continue
+        }
+        let value = JSON.parse(json)
+
+        if (key === 'parameters' && Array.isArray(value)) {
+            let parameters = (target.parameters || []).filter(p => !value.some(v => v.name === p.name && v.in === p.in))
+            target.parameters = parameters.concat(value)
+            continue
+        }
+
+        if (_endpointMethods.includes(key) && value && typeof value === 'object') {
+            value.tags = Array.isArray(value.tags) ? value.tags : []
+            if (!value.tags.includes(tag)) {
+                value.tags.push(tag)
+            }
+        }
+
+        target[key] = value
+    }
+}
+
+/**
+ * Creates a middleware function that validates requests against the OpenAPI declaration of an endpoint.
+ *
+ * Path, query and header parameters are checked against the 'parameters' declared on the path item
+ * and the operation matching the endpoint method, and JSON bodies are checked against the operation's
+ * 'requestBody'. Parameters and schemas declared as references ('$ref') are not checked.
+ *
+ * Requests with one or more violations are answered with status 400 and a body listing every violation.
+ *
+ * @param endpoint The endpoint declaration.
+ * @param method The (lower case) endpoint method.
+ * @param log Logging function.
+ * @returns An array of middleware functions, empty if the declaration does not contain anything to validate.
+ */
+function _createValidator(endpoint, method, log) {
+    let pathItem = endpoint.openapi || endpoint.handler.openapi || {}
+    let operation = pathItem[method] || {}
+
+    let compile = (ajv, schema, where) => {
+        try {
+            return ajv.compile(schema)
+        } catch (e) {
+            log(`Unable to compile the schema for ${where} on ${method.toUpperCase()} ${endpoint.route}, skipping validation: ${e.message}`, 'error')
+            return null
+        }
+    }
+
+    // Operation parameters override path item parameters with the same name and location:
+    let parameters = (Array.isArray(operation.parameters) ? operation.parameters : []).slice()
+    if (Array.isArray(pathItem.parameters)) {
+        pathItem.parameters.forEach(p => {
+            if (!parameters.some(o => o.name === p.name && o.in === p.in)) {
+                parameters.push(p)
+            }
+        })
+    }
+
+    let checks = parameters.filter(p => p && !p.$ref && ['path', 'query', 'header'].includes(p.in)).map(p => ({
+        name: p.name,
+        in: p.in,
+        required: p.required === true || p.in === 'path',
+        validate: p.schema ? compile(_parameterAjv, { type: 'object', properties: { value: p.schema } }, `parameter '${p.name}'`) : null
+    }))
+
+    let body = null
+    if (operation.requestBody && !operation.requestBody.$ref) {
+        let content = operation.requestBody.content || {}
+        let media = content['application/json'] || {}
+        body = {
+            required: operation.requestBody.required === true,
+            validate: (media.schema && !media.schema.$ref) ? compile(_bodyAjv, media.schema, 'the request body') : null
+        }
+    }
+
+    if (checks.length === 0 && !body) {
+        return []
+    }
+
+    let validator = (req, res, next) => {
+        let violations = []
+
+        checks.forEach(check => {
+            let value = undefined
+            switch (check.in) {
+                case 'path': value = req.params[check.name]; break
+                case 'query': value = req.query[check.name]; break
+                case 'header': value = req.get(check.name); break
+            }
+
+            if (value === undefined) {
+                if (check.required) {
+                    violations.push({ in: check.in, name: check.name, message: 'is required' })
+                }
+                return
+            }
+
+            if (check.validate && !check.validate({ value })) {
+                check.validate.errors.forEach(error => {
+                    violations.push({ in: check.in, name: check.name, message: error.message, path: error.instancePath.replace(/^\/value/, '') })
+                })
+            }
+        })
+
+        if (body) {
+            let empty = req.body === undefined || (req.body && typeof req.body === 'object' && Object.keys(req.body).length === 0 && !req.is('application/json'))
+            if (empty) {
+                if (body.required) {
+                    violations.push({ in: 'body', message: 'is required' })
+                }
+            } else if (body.validate && !body.validate(req.body)) {
+                body.validate.errors.forEach(error => {
+                    violations.push({ in: 'body', message: error.message, path: error.instancePath })
+                })
+            }
+        }
+
+        if (violations.length > 0) {
+            res.status(400).json({
+                error: 'Bad Request',
+                message: `Request validation failed with ${violations.length} violation(s).`,
+                violations
+            })
+            return
+        }
+
+        next()
+    }
+
+    return body ? [express.json(), validator] : [validator]
+}
+
+/**
+ * Determines the HTTP status code for an error, using its 'status' or 'statusCode' if it is a valid error status.
+ *
+ * @param error The error.
+ * @returns An HTTP status code between 400 and 599, defaulting to 500.
+ */
+function _errorStatus(error) {
+    let status = error && (error.status || error.statusCode)
+    return (Number.isInteger(status) && status >= 400 && status <= 599) ? status : 500
+}
+
+/**
+ * Handles an error thrown by an endpoint handler: assigns a trace ID, logs it and responds using the error responder.
+ *
+ * @param error The error thrown by the handler.
+ * @param req The request object.
+ * @param res The response object.
+ * @param endpoint Object describing the endpoint, with the keys 'provider', 'method' and 'route'.
+ * @param environment Core environment.
+ */
+function _handleError(error, req, res, endpoint, environment) {
+    const log = environment.log
+    let status = _errorStatus(error)
+    let traceId = crypto.randomBytes(8).toString('hex')
+
+    if (error && typeof error === 'object') {
+        error._traceId = traceId
+    }
+
+    let remoteAddress = req.ip || (req.socket && req.socket.remoteAddress)
+    let message = (error && error.message) ? error.message : `${error}`
+    log(`An error occurred in ${endpoint.method.toUpperCase()} /${endpoint.provider}${endpoint.route} (provider '${endpoint.provider}') while handling a request from ${remoteAddress} (status: ${status}, trace ID: ${traceId}): ${message}`, 'error')
+    if (error && error.stack) {
+        log(error.stack, 'debug')
+    }
+
+    let responder = (typeof environment.errorResponder === 'function') ? environment.errorResponder : Providers.defaultErrorResponder
+    try {
+        responder(error, req, res, Object.assign({ status, traceId }, endpoint))
+    } catch (e) {
+        log(`The error responder failed while responding to trace ID ${traceId}: ${e}`, 'error')
+        if (!res.headersSent) {
+            res.status(500).end()
+        }
+    }
+}
+
+/**
+ * Closes a WebSocket connection, truncating the reason to the 123 bytes allowed for close reasons.
+ * If the connection can not be closed cleanly, it is terminated.
+ *
+ * @param ws The WebSocket connection.
+ * @param code The close code.
+ * @param reason The close reason.
+ */
+function _closeSocket(ws, code, reason) {
+    // Drop any character that was cut in half by the truncation:
+    let truncated = Buffer.from(`${reason}`).subarray(0, 123).toString().replace(/\uFFFD$/, '')
+    try {
+        ws.close(code, truncated)
+    } catch {
+        ws.terminate()
+    }
+}
+
+/**
+ * Creates a response object for a WebSocket connection, so that middleware written for HTTP requests
+ * (and the error responder) can be applied to WebSocket endpoints.
+ *
+ * Ending the response closes the connection. Responses with a status of 400 or above close the connection
+ * with the code 4000 + status (e.g. 4401, 4403 or 4500) and the response's message as reason.
+ *
+ * If the response object has an 'onEnd' function, it is called once the response has been ended.
+ *
+ * @param ws The WebSocket connection.
+ * @returns The response object.
+ */
+function _socketResponse(ws) {
+    let headers = {}
+    let res = {
+        statusCode: 200,
+        headersSent: false,
+        writableEnded: false,
+        locals: {},
+        status (code) {
+            res.statusCode = code
+            return res
+        },
+        set (name, value) {
+            headers[`${name}`.toLowerCase()] = value
+            return res
+        },
+        setHeader (name, value) {
+            return res.set(name, value)
+        },
+        get (name) {
+            return headers[`${name}`.toLowerCase()]
+        },
+        getHeader (name) {
+            return res.get(name)
+        },
+        sendStatus (code) {
+            res.statusCode = code
+            return res.end(http.STATUS_CODES[code])
+        },
+        json (body) {
+            if (body && typeof body === 'object') {
+                let message = body.message || body.error || ''
+                return res.end(body.traceId ? `${message} (trace ID: ${body.traceId})` : message)
+            }
+            return res.end(body)
+        },
+        send (body) {
+            return (body && typeof body === 'object' && !Buffer.isBuffer(body)) ? res.json(body) : res.end(body)
+        },
+        end (message) {
+            if (res.writableEnded) {
+                return res
+            }
+            res.headersSent = res.writableEnded = true
+
+            let code = res.statusCode >= 400 ? 4000 + res.statusCode : 1000
+            _closeSocket(ws, code, message || http.STATUS_CODES[res.statusCode] || '')
+
+            if (typeof res.onEnd === 'function') {
+                res.onEnd()
+            }
+            return res
+        }
+    }
+    return res
+}
+
+/**
+ * Runs a chain of HTTP middleware functions on a request.
+ *
+ * @param chain Array of middleware functions.
+ * @param req The request object.
+ * @param res The response object.
+ * @returns A promise that resolves to true if every middleware function passed the request on, or false if one of them ended the response.
+ *  The promise is rejected if a middleware function throws, returns a rejected promise or passes an error to 'next'.
+ */
+function _runMiddleware(chain, req, res) {
+    return new Promise((resolve, reject) => {
+        let index = 0
+        let next = (error) => {
+            if (error) {
+                return reject(error)
+            }
+            if (res.writableEnded) {
+                return resolve(false)
+            }
+            if (index >= chain.length) {
+                return resolve(true)
+            }
+            try {
+                Promise.resolve(chain[index++](req, res, next)).catch(reject)
+            } catch (e) {
+                reject(e)
+            }
+        }
+        res.onEnd = () => resolve(false)
+        next()
+    })
+}
+
+/**
+ * Buffers the messages received on a WebSocket connection until the endpoint handler is ready to receive them.
+ *
+ * Connections are accepted before the security and middleware chain runs, so clients can send messages before the
+ * handler has attached its own 'message' listener. Buffered messages are replayed once the handler attaches a
+ * 'message' listener (after the handler's synchronous code has finished), or once 'release' is called.
+ *
+ * @param ws The WebSocket connection.
+ * @returns An object with the methods 'watch' (replay the buffered messages as soon as a 'message' listener is attached)
+ *  and 'release' (stop buffering and replay the buffered messages to the current listeners).
+ */
+function _bufferMessages(ws) {
+    let buffered = []
+    let released = false
+
+    let buffer = (...args) => buffered.push(args)
+
+    let release = () => {
+        if (released) {
+            return
+        }
+        released = true
+        ws.removeListener('message', buffer)
+        ws.removeListener('newListener', onListener)
+        buffered.splice(0).forEach(args => ws.emit('message', ...args))
+    }
+
+    // 'newListener' is emitted before the listener is added, so the replay is deferred until it has been:
+    let onListener = (event) => {
+        if (event === 'message') {
+            process.nextTick(release)
+        }
+    }
+
+    ws.on('message', buffer)
+
+    return {
+        watch: () => ws.on('newListener', onListener),
+        release
+    }
+}
+
+/**
+ * Handles a connection to a WebSocket endpoint: checks that the provider is available, runs the security
+ * and middleware chain on the upgrade request, tracks the connection and calls the endpoint handler.
+ *
+ * Messages received while the middleware chain runs are buffered and replayed to the handler (see _bufferMessages).
+ *
+ * Errors thrown by the middleware or the handler are logged with a trace ID and passed to the error responder,
+ * which closes the connection (see _socketResponse).
+ *
+ * @param ws The WebSocket connection.
+ * @param req The upgrade request.
+ * @param next Express 'next' function.
+ * @param record The record for the provider.
+ * @param endpoint The endpoint declaration.
+ * @param chain Array of middleware functions to run before the handler.
+ * @param details Object with the keys 'provider', 'method' and 'route'.
+ * @param environment Core environment.
+ */
+async function _handleSocket(ws, req, next, record, endpoint, chain, details, environment) {
+    if (!_isAvailable(record)) {
+        _closeSocket(ws, 1013, `Provider '${details.provider}' is not ready`)
+        return
+    }
+
+    let res = _socketResponse(ws)
+    let messages = _bufferMessages(ws)
+
+    try {
+        if (!await _runMiddleware(chain, req, res)) {
+            messages.release()
+            return
+        }
+    } catch (e) {
+        messages.release()
+        _handleError(e, req, res, details, environment)
+        return
+    }
+
+    let sockets = record.sockets
+    sockets.set(ws, {
+        provider: details.provider,
+        route: details.route,
+        remoteAddress: req.socket && req.socket.remoteAddress,
+        openedAt: new Date().toISOString()
+    })
+    let labels = { provider: details.provider, route: `/${details.provider}${details.route}` }
+    if (environment.metrics) {
+        environment.metrics.increment('morrigan_ws_connections_total', labels)
+        environment.metrics.increment('morrigan_ws_connections_open', labels)
+    }
+
+    ws.on('close', () => {
+        sockets.delete(ws)
+        if (environment.metrics) {
+            environment.metrics.increment('morrigan_ws_connections_open', labels, -1)
+        }
+    })
+    ws.on('error', (e) => {
+        environment.log(`An error occurred on a WebSocket connection to WS /${details.provider}${details.route} (provider '${details.provider}'): ${e}`, 'error')
+    })
+
+    messages.watch()
+    try {
+        await endpoint.handler(ws, req, next)
+    } catch (e) {
+        _handleError(e, req, res, details, environment)
+    } finally {
+        messages.release()
+    }
+}
+
+/**
+ * Registers the endpoints declared by a provider on the provider's sub-router.
+ *
+ * @param record The record for the provider.
+ * @param namespace Name of the provider.
+ * @param provider The provider module.
+ * @param environment Core environment.
+ * @returns An object with the keys 'registered' (array of { method, route }), 'rejected' (array of { method, route, reason })
+ *  and 'conflicts' (array of { type, method, route, conflictsWith, reason }, see _findRouteConflicts).
+ */
+function _registerEndpoints(record, namespace, provider, environment) {
+    const log = environment.log
+    let router = record.router
+    let endpoints = provider.endpoints
+    let result = { registered: [], rejected: [], conflicts: [] }
+    if (!endpoints || !Array.isArray(endpoints)) {
+        return result
+    }
+
+    let conflicts = _findRouteConflicts(endpoints)
+    let conflictPolicy = _routeConflictPolicy(environment)
+
+    log (`Registering endpoints for '${namespace}':`)
+
+    let providerInvalid = _validateSecurity(provider.security) || _validateMiddleware(provider.middleware) || _validateRateLimit(provider.rateLimit)
+    if (providerInvalid) {
+        log(`Invalid endpoint defaults declared by provider '${namespace}', rejecting all endpoints: ${providerInvalid}`, 'error')
+    }
+
+    for (const i in endpoints) {
+        let endpoint = endpoints[i]
+
+        let invalid = _validateEndpoint(endpoint) || (providerInvalid && `Invalid provider declaration: ${providerInvalid}`)
+        if (invalid) {
+            log(invalid)
+            result.rejected.push({ method: endpoint.method, route: endpoint.route, reason: invalid })
+            continue
+        }
+
+        // Duplicate and shadowed endpoints are either rejected or registered with a warning:
+        let conflict = conflicts[i]
+        if (conflict) {
+            result.conflicts.push(conflict)
+            if (conflictPolicy === 'error') {
+                log(`Rejecting endpoint of provider '${namespace}': ${conflict.reason}`, 'error')
+                result.rejected.push({ method: endpoint.method, route: endpoint.route, reason: conflict.reason })
+                continue
+            }
+            log(`Route conflict in provider '${namespace}': ${conflict.reason}`, 'warn')
+        }
+
+        let method = endpoint.method.toLowerCase()
+
+        let route = `${endpoint.route}`
+
+        log(`${method.toUpperCase().padStart(7, ' ')} ${route}`)
+        result.registered.push({ method, route })
+
+        let details = { provider: namespace, method, route }
+
+        // Resolve the security declared by the endpoint, the provider or the environment:
+        let security = _resolveSecurity(endpoint, provider, environment)
+        let scopeCheck = null
+        if (security.scopes.length > 0) {
+            if (typeof environment.authorize !== 'function') {
+                log(`${method.toUpperCase()} ${route} requires scopes, but the environment does not declare an 'authorize' hook. All requests will be denied.`, 'error')
+            }
+            scopeCheck = _createScopeCheck(security.scopes, details, environment)
+        }
+
+        // The middleware declared by the provider is applied before the middleware declared by the endpoint:
+        let middleware = [].concat(provider.middleware || [], endpoint.middleware || [])
+
+        // The rate limit declared by the endpoint overrides the one declared by the provider, false or null disables it:
+        let rateLimit = (endpoint.rateLimit !== undefined) ? endpoint.rateLimit : provider.rateLimit
+        let rateLimiter = rateLimit ? _wrapMiddleware(_createRateLimiter(rateLimit, details, record, environment), details, environment) : null
+
+        // WebSocket connection endpoints run the security and middleware on the upgrade request, and keep track of open connections:
+        if (method === 'ws') {
+            let chain = [security.middleware, scopeCheck, rateLimiter].filter(m => m).concat(middleware)
+            router.ws(route, (ws, req, next) => _handleSocket(ws, req, next, record, endpoint, chain, details, environment))
+            continue
+        }
+
+        // Create a new anonmyous wrapper for the handler, catching both thrown errors and rejected promises:
+        let handler = async (req, res, next) => {
+            try {
+                await endpoint.handler(req, res, next)
+            } catch (e) {
+                _handleError(e, req, res, details, environment)
+            }
+        }
+
+        if (endpoint.openapi) {
+            // Attach the openapi declaration to the handler:
+            handler.openapi = endpoint.openapi
+        }
+
+        let handlers = [handler]
+
+        handlers.unshift(...middleware.map(m => _wrapMiddleware(m, details, environment)))
+
+        // Answer requests with 503 as long as the provider is not able to handle them:
+        let availability = (req, res, next) => {
+            if (_isAvailable(record)) {
+                return next()
+            }
+            res.status(503).json({
+                error: 'Service Unavailable',
+                message: `Provider '${namespace}' is not ready (status: ${record.status}).`,
+                provider: namespace,
+                status: record.status,
+                reason: record.reason
+            })
+        }
+
+        // Validate requests against the endpoint's OpenAPI declaration if enabled by the endpoint or environment:
+        let validate = environment.validateRequests === true
+        if (typeof endpoint.validate === 'boolean') {
+            validate = endpoint.validate
+        }
+        if (validate) {
+            handlers.unshift(..._createValidator(endpoint, method, log))
+        }
+
+        // Rate limits are applied after security, so that requests can be limited per authenticated principal:
+        if (rateLimiter) {
+            handlers.unshift(rateLimiter)
+        }
+
+        if (scopeCheck) {
+            handlers.unshift(scopeCheck)
+        }
+        // Only apply security middleware if declared by either the endpoint, provider or environment:
+        if (security.middleware) {
+            handlers.unshift(security.middleware)
+        }
+
+        handlers.unshift(availability)
+
+        // Record the number of requests and the time taken to respond, labelled by the route template:
+        if (environment.metrics) {
+            let metrics = environment.metrics
+            let labels = { provider: namespace, method: method.toUpperCase(), route: `/${namespace}${route}` }
+            handlers.unshift((req, res, next) => {
+                let start = performance.now()
+                res.on('finish', () => {
+                    metrics.increment('morrigan_http_requests_total', Object.assign({ status: `${res.statusCode}` }, labels))
+                    metrics.observe('morrigan_http_request_duration_seconds', labels, (performance.now() - start) / 1000)
+                })
+                next()
+            })
+        }
+
+        // Apply the endpoint handler:
+        router[endpoint.method](route, handlers)
+    }
+
+    return result
+}
+
+/**
+ * Creates an in-memory stand-in for a StateStore (see '@adicitus/morrigan.utils.statestore'), used by Providers.testing.
+ *
+ * Values are stored as JSON, like in a StateStore, so providers get copies rather than the objects they stored. Stores with the
+ * 'delegate' scope can create sub-stores with 'getStore'. Sub-stores share the underlying data, so requesting the same
+ * namespace twice returns a store with the same contents.
+ *
+ * @param namespace Namespace of the store.
+ * @param scope Scope of the store ('simple' or 'delegate').
+ * @param data Map holding the values of all stores created from the same root store.
+ * @returns The store object.
+ */
+function _createMemoryStateStore(namespace, scope, data) {
+    data = data || new Map()
+
+    let store = {
+        getNamespace: () => namespace,
+        set: async (name, value) => {
+            data.set(`${namespace}/${name}`, JSON.stringify(value))
+        },
+        get: async (name) => {
+            let value = data.get(`${namespace}/${name}`)
+            return (value === undefined) ? null : JSON.parse(value)
+        },
+        remove: async (name) => {
+            data.delete(`${namespace}/${name}`)
+        }
+    }
+
+    if (scope === 'delegate') {
+        store.getStore = async (name, scope) => {
+            if (!/^[a-z0-9-_]+$/i.test(name)) {
+                throw new Error(`Invalid name namespace provided (should only contain characters a-z, 0-9, - and _): ${name}`)
+            }
+            return _createMemoryStateStore(`${namespace}.${name}`, scope, data)
+        }
+    }
+
+    return store
+}
+
+/**
+ * Checks whether a captured log entry matches a pattern.
+ *
+ * @param entry The log entry (see _logRecord).
+ * @param pattern A RegExp, or a string that the entry's message should contain.
+ * @param level Optional level that the entry should have.
+ * @returns True if the entry matches.
+ */
+function _matchesLogEntry(entry, pattern, level) {
+    if (level && entry.level !== level) {
+        return false
+    }
+    let text = (entry.message !== undefined) ? `${entry.message}` : JSON.stringify(entry)
+    return (pattern instanceof RegExp) ? pattern.test(text) : text.includes(`${pattern}`)
+}
+
+/**
+ * Sends an HTTP request to a server started by Providers.testing.
+ *
+ * @param url Base URL of the server.
+ * @param method HTTP method.
+ * @param path Path of the request (may include a query string).
+ * @param options Optional object with the keys 'body' (sent as JSON unless it is a string or a Buffer), 'headers' and 'query'.
+ * @returns A promise that resolves to { status, headers, body, text }, where 'body' is the parsed body for JSON responses and the text otherwise.
+ */
+function _testRequest(url, method, path, options) {
+    options = options || {}
+
+    return new Promise((resolve, reject) => {
+        let target = new URL(path, url)
+        Object.entries(options.query || {}).forEach(([key, value]) => target.searchParams.append(key, `${value}`))
+
+        let headers = Object.assign({}, options.headers)
+        let data = null
+        if (options.body !== undefined) {
+            if (typeof options.body === 'string' || Buffer.isBuffer(options.body)) {
+                data = options.body
+            } else {
+                data = JSON.stringify(options.body)
+                headers['content-type'] = headers['content-type'] || 'application/json'
+            }
+            headers['content-length'] = Buffer.byteLength(data)
+        }
+
+        let req = http.request(target, { method: method.toUpperCase(), headers, agent: false }, res => {
+            let chunks = []
+            res.on('data', chunk => chunks.push(chunk))
+            res.on('end', () => {
+                let text = Buffer.concat(chunks).toString()
+                let body = text
+                if (/json/.test(res.headers['content-type'] || '')) {
+                    try {
+                        body = JSON.parse(text)
+                    } catch {
+                        // Leave malformed JSON as text
+                    }
+                }
+                resolve({ status: res.statusCode, headers: res.headers, body, text })
+            })
+        })
+        req.on('error', reject)
+        req.end(data)
+    })
+}
+
+/**
+ * Opens a WebSocket connection to a server started by Providers.testing.
+ *
+ * The returned connection has the following keys:
+ *  - ws: The underlying WebSocket client.
+ *  - messages: Array of every message received so far (parsed as JSON where possible).
+ *  - next(timeout): Returns a promise that resolves to the next unread message. It is rejected if the connection
+ *    closes, or if no message arrives within 'timeout' milliseconds (default 2000).
+ *  - send(data): Sends a message, objects are sent as JSON.
+ *  - close(code, reason): Closes the connection.
+ *  - closed: A promise that resolves to { code, reason } once the connection is closed.
+ *
+ * Since WebSocket endpoints run their security and middleware after the connection has been accepted (see Providers.setup),
+ * connections that are refused are opened first and then closed with a 4000 + status code, which 'closed' resolves to.
+ *
+ * @param url Base URL of the server.
+ * @param path Path of the WebSocket endpoint.
+ * @param options Optional object with the key 'headers'.
+ * @param sockets Set that open connections are added to, so that they can be closed with the harness.
+ * @returns A promise that resolves to the connection once it is open.
+ */
+function _testSocket(url, path, options, sockets) {
+    const WebSocket = require('ws')
+    options = options || {}
+
+    return new Promise((resolve, reject) => {
+        let ws = new WebSocket(new URL(path, url.replace(/^http/, 'ws')).href, { headers: options.headers })
+        let unread = []
+        let waiting = []
+        let isClosed = false
+
+        let connection = {
+            ws,
+            messages: [],
+            closed: new Promise(resolveClosed => {
+                ws.once('close', (code, reason) => {
+                    isClosed = true
+                    sockets.delete(ws)
+                    waiting.splice(0).forEach(w => w.reject(new Error(`The connection was closed (${code})`)))
+                    resolveClosed({ code, reason: `${reason}` })
+                })
+            }),
+            next: (timeout) => {
+                if (unread.length > 0) {
+                    return Promise.resolve(unread.shift())
+                }
+                if (isClosed) {
+                    return Promise.reject(new Error('The connection is closed'))
+                }
+                return new Promise((resolveNext, rejectNext) => {
+                    let waiter = { resolve: resolveNext, reject: rejectNext }
+                    let timer = setTimeout(() => {
+                        waiting.splice(waiting.indexOf(waiter), 1)
+                        rejectNext(new Error('Timed out waiting for a message'))
+                    }, timeout || 2000)
+                    waiter.resolve = (message) => { clearTimeout(timer); resolveNext(message) }
+                    waiter.reject = (error) => { clearTimeout(timer); rejectNext(error) }
+                    waiting.push(waiter)
+                })
+            },
+            send: (data) => ws.send((typeof data === 'string' || Buffer.isBuffer(data)) ? data : JSON.stringify(data)),
+            close: (code, reason) => ws.close(code, reason)
+        }
+
+        ws.on('message', data => {
+            let message = `${data}`
+            try {
+                message = JSON.parse(message)
+            } catch {
+                // Leave non-JSON messages as text
+            }
+            connection.messages.push(message)
+            if (waiting.length > 0) {
+                waiting.shift().resolve(message)
+            } else {
+                unread.push(message)
+            }
+        })
+
+        ws.once('open', () => {
+            sockets.add(ws)
+            resolve(connection)
+        })
+        ws.once('error', reject)
+    })
+}
 
 /**
  * Class containing logic for loading providers and adding them to Morrigan.
  */
  class Providers {
 
-    /**
-     * Set this to false if you wish to silence the default logging function.
-     */
-    static enableDefaultLogger = true
+    /**
+     * Set this to false if you wish to silence the default logging function.
+     */
+    static enableDefaultLogger = true
+
+    /**
+     * Default error responder used if the environment does not declare an 'errorResponder'.
+     * 
+     * Responds with the error's status and a JSON body containing the status text, a message and the trace ID.
+     * The error's message is only included for client errors (4xx), other errors get a generic message.
+     * If the handler has already started sending a response, the response is ended instead.
+     * 
+     * @param {Error} error The error thrown by the endpoint handler.
+     * @param req The request object.
+     * @param res The response object.
+     * @param {object} details Object with the keys 'status', 'traceId', 'provider', 'method' and 'route'.
+     */
+    static defaultErrorResponder(error, req, res, details) {
+        if (res.headersSent) {
+            if (!res.writableEnded) {
+                res.end()
+            }
+            return
+        }
+
+        let message = (details.status < 500 && error && error.message) ? error.message : 'An unexpected error occurred.'
+
+        res.status(details.status).json({
+            error: http.STATUS_CODES[details.status] || 'Error',
+            message,
+            traceId: details.traceId
+        })
+    }
+
+    /**
+     * Report describing the outcome of the most recent call to Providers.setup (see Providers.report).
+     * 
+     * This is a convenience for hosts that call Providers.setup once. Every call to Providers.setup replaces it when it starts,
+     * so the report of a specific call should be retrieved with Providers.report.
+     */
+    static lastReport = null
+
+    /**
+     * Default number of milliseconds that Providers.setup will wait for each provider's 'setup' to finish.
+     */
+    static setupTimeout = 30000
+
+    /**
+     * Default number of milliseconds that Providers.shutdown will wait for each provider's 'teardown' hook.
+     */
+    static teardownTimeout = 5000
+
+    /**
+     * Minimum number of milliseconds between sweeps for expired rate limit buckets, both in the default in-memory
+     * store and in providers' StateStores.
+     */
+    static rateLimitSweepInterval = 60000
+
+    /**
+     * Names that providers may not be registered under, e.g. because they would shadow routes mounted by the host.
+     * Empty by default, since the health, OpenAPI and metrics routes are only mounted on request, on paths chosen by
+     * the host. Additional names can be reserved by setting 'reservedNames' on the environment.
+     */
+    static reservedNames = []
+
+    /**
+     * Environment keys that are always given to providers that declare 'requires' (see Providers.setup).
+     */
+    static defaultCapabilities = ['router', 'log', 'setStatus', 'registry']
+
+    /**
+     * Default logging function used by this utility if none is provided.
+     * 
+     * @param {object} msg Message to log.
+     * @param {string} level Severity of this log entry. 
+     * @param {object} fields Fields attached to this log entry by child loggers (such as 'provider' and 'version').
+     */
+    static async defaultLogger(msg, level, fields) {
+        if (Providers.enableDefaultLogger) {
+            if (msg instanceof Error) {
+                msg = msg.stack || `${msg}`
+            } else if (msg && typeof msg === 'object') {
+                msg = JSON.stringify(msg)
+            }
+            let attribution = (fields && Object.keys(fields).length > 0) ? ` ${JSON.stringify(fields)}` : ''
+            console.log(`morrigan.utils.providers default logger | ${level? level : 'info'}: ${msg}${attribution}`)
+        }
+    }
+
+    /**
+     * Log levels, from least to most severe. Entries with other levels are always logged.
+     */
+    static logLevels = ['debug', 'info', 'warn', 'error']
+
+    /**
+     * Creates a logging function with the (msg, level, fields) signature.
+     * 
+     * The following options are recognized:
+     *  - format: 'json' to write each entry as a line of JSON (see below), or 'text' to write each entry as a line of text.
+     *    Defaults to 'json'.
+     *  - level: The minimum level to log (see Providers.logLevels). Defaults to 'debug'.
+     *  - write: A function called with each formatted line. Defaults to writing the line to stdout.
+     * 
+     * JSON entries are objects with the keys 'time', 'level' and 'message', along with any fields attached by child
+     * loggers (such as 'provider' and 'version'). Errors are logged with an additional 'error' key ({ name, message, stack }),
+     * and the keys of other objects are merged into the entry.
+     * 
+     * @param options Options object (see above).
+     * @returns The logging function.
+     */
+    static createLogger (options) {
+        options = options || {}
+        let write = (typeof options.write === 'function') ? options.write : (line) => process.stdout.write(`${line}\n`)
+        let format = options.format || 'json'
+
+        return (msg, level, fields) => {
+            if (!_isLevelEnabled(level, options.level)) {
+                return
+            }
+
+            let record = _logRecord(msg, level, fields)
+            if (format === 'text') {
+                let { time, level: recordLevel, message, error, ...rest } = record
+                let text = error ? (error.stack || message) : message
+                let extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : ''
+                write(`${time} ${recordLevel.toUpperCase()} ${text === undefined ? '' : text}${extra}`)
+            } else {
+                write(JSON.stringify(record))
+            }
+        }
+    }
+
+    /**
+     * Logging function that writes every entry to stdout as a line of JSON (see Providers.createLogger).
+     * Use this as 'environment.log' as an alternative to Providers.defaultLogger.
+     */
+    static jsonLogger = Providers.createLogger({ format: 'json' })
+
+    /**
+     * Enumerates and loads providers specified by providerSpecs, adding any exported endpoints to
+     * the provided router object.
+     * 
+     * Providers can be specified using a string, and object or a function object:
+     *   - A string that should be the name (or path) of a CommonJS module or an ES module.
+     *   - A complex type (object/function) with a combination of the following keys:
+     *     - name: The name under which this provider will be registered.
+     *       If this is provided it overrides the 'name' exported by the module.
+     *     - moduleName: The name (or path) of a provider module that should be loaded.
+     *     - module: Either a string indicating the name of a module to load, or a preloaded module object. 
+     * 
+     * CommonJS modules are loaded using 'require' and ES modules using dynamic 'import' (resolved through the package's
+     * 'exports' map, 'main' or index.js). If a module only has a default export (or is a transpiled module with
+     * '__esModule' and a default export), the default export is used as the provider.
+     * 
+     * Provider should export a 'name' key, otherwise they will be dropped. The name (or the name given by the
+     * provider specification, if any) may only contain alphanumeric characters, '-', '_' and '.', and may not
+     * consist of dots only. Names listed in Providers.reservedNames or 'environment.reservedNames' are refused
+     * (compared case-insensitively). Hosts that mount routes such as Providers.health's 'readinessRoute' on the
+     * providers' router should reserve the first segment of their paths (e.g. 'health'), unless they mount them
+     * before the setup, in which case they are detected as mount path conflicts (see 'environment.routeConflictPolicy').
+     * 
+     * The 'name' key is used to register the provider internally. If 2 or more providers specify the same name,
+     * the collision is resolved according to 'environment.collisionPolicy':
+     *  - last-wins: The provider specified last in the list is used (the default).
+     *  - first-wins: The provider specified first in the list is used.
+     *  - suffix: Later providers are registered with a numeric suffix ('<name>-2', '<name>-3', ...).
+     *  - error: None of the providers with that name are used.
+     * Collisions are listed in the setup report (see Providers.report).
+     * 
+     * If the intended module does not specify a name (or if you want to use a different name), this can
+     * be specified by the provider specification.
+     * 
+     * Providers may export a 'endpoints' key and a 'version' key. If no 'version' key is exported, then
+     * the package version will be used. If no package version can be determined (e.g. the module
+     * is pre-loaded) the version will be set to 0.0.0 
+     * 
+     * Endpoints should be exported as an array of objects with the following fields:
+     *  - route: A path to be appended to the (providerSpec + route). Routes must start with '/' and may not contain empty
+     *    segments, whitespace, '#' or segments consisting of dots only (e.g. '/items/:id').
+     *  - method: A HTTP method.
+     *  - handler: A function to be registered as handler fo the endpoint.
+     *  - openapi: A OpenAPI specification for the endpoint path (see https://swagger.io/specification/#path-item-object). This can also be attached directly to the handler.
+     *  - security: A middleware function to apply to the endpoint. This overrides any default security middleware set by the environment. To strip any security for the endpoint, set this to null.
+     *    This can also be an object declaring the scopes (or roles) required to access the endpoint: { scopes: ['orders:read'] }. Scopes are checked
+     *    by the environment's 'authorize' hook after the security middleware has run. The object may declare its own 'middleware', otherwise
+     *    'environment.security' is used.
+     *  - middleware: A middleware function, or an array of middleware functions, to run between the security middleware and the handler.
+     *    Errors thrown by the middleware (or rejected promises) are handled like errors thrown by the handler.
+     *  - rateLimit: Limits the number of requests each client can make to the endpoint: { limit, window, key, store }. Each client gets
+     *    a token bucket that holds up to 'limit' requests and refills at a rate of 'limit' requests per 'window' milliseconds (default
+     *    60000). 'key' identifies the client: 'ip' (the default), 'principal' (see 'environment.principal', falling back to the IP
+     *    address for anonymous requests) or a function (req) => key. 'store' holds the buckets: 'state' (the provider's StateStore,
+     *    where buckets are removed once they have refilled, see Providers.rateLimitSweepInterval),
+     *    an object with 'get' and 'set' methods, or omitted to use 'environment.rateLimitStore'. Limits are checked after the security
+     *    middleware and scopes. Limited requests are answered with status 429 and a 'Retry-After' header (in seconds), and all
+     *    requests get 'RateLimit-Limit', 'RateLimit-Remaining' and 'RateLimit-Reset' headers. Set to false or null to disable
+     *    the provider's default.
+     *
+     * Providers may export 'security', 'middleware' and 'rateLimit' keys to apply defaults to all of their endpoints. The provider's
+     * 'security' overrides 'environment.security' and is overridden by the endpoint's 'security'. The provider's 'middleware' runs
+     * before the endpoint's 'middleware'. The provider's 'rateLimit' is overridden by the endpoint's 'rateLimit', and each endpoint
+     * has its own buckets.
+     *  - validate: Set to true or false to enable or disable request validation for the endpoint, overriding 'environment.validateRequests'.
+     *
+     * WebSocket ('ws') endpoints get the same security and middleware as HTTP endpoints, applied to the upgrade request once the
+     * connection has been accepted. Since the connection is already open, requests that are rejected (or fail) are answered by
+     * closing the connection with the code 4000 + status (e.g. 4401, 4403 or 4500) and the response's message as reason. Errors
+     * thrown by 'ws' handlers are logged with a trace ID and close the connection the same way. Open connections are tracked per
+     * provider (see Providers.connections and Providers.closeConnections).
+     *
+     * Since requests are dispatched to the first matching route, an endpoint is unreachable if an endpoint declared before it by the
+     * same provider has the same method and either the same route (a duplicate) or a route that matches every path it matches (e.g.
+     * '/:id' declared before '/list' shadows it). Such conflicts, as well as routes and middleware mounted directly on 'environment.router'
+     * under a provider's mount path, are handled according to 'environment.routeConflictPolicy'.
+     *
+     * If request validation is enabled, requests are checked against the path, query and header parameters and the JSON
+     * request body declared by the endpoint's 'openapi' declaration before the handler is called. Requests that violate the
+     * declaration are answered with status 400 and a JSON body listing every violation.
+     *
+     * Providers may export a 'configSchema' key (a JSON Schema) describing their configuration. The configuration is taken
+     * from the 'config' key of the provider specification, and each top-level property declared by the schema can be
+     * overridden by an environment variable named 'MORRIGAN_<NAME>_<KEY>', where the provider name and the property name are
+     * converted to upper case with non-alphanumeric characters replaced by '_' and camelCase split by '_' (e.g. 'maxConnections'
+     * on provider 'web-api' is overridden by 'MORRIGAN_WEB_API_MAX_CONNECTIONS'). Variable values are converted to the type
+     * declared by the property; objects and arrays are parsed as JSON. Defaults declared by the schema are then applied and the
+     * resolved configuration is passed to '.setup' as 'config' on the provider specification. Providers whose configuration
+     * does not validate are skipped, and the violations are logged and attached to the provider module as 'error'.
+     *
+     * Providers may declare which versions of this utility and of the host application they are compatible with, by exporting a
+     * 'compatibility' key ({ providers: '^2.0.0', host: '>=1.4.0' }, semver ranges) or through their package.json: a 'peerDependencies'
+     * entry for '@adicitus/morrigan.utils.providers' (or for the host's package name, see 'environment.host') and 'engines.morrigan'
+     * for the host. Ranges are checked against the version of this utility and 'environment.host'. Incompatible providers are handled
+     * according to 'environment.compatibilityPolicy'; refused providers are skipped, with the reason attached to the module as 'error'.
+     *
+     * Providers may export a 'requires' key, listing the environment keys (capabilities) they need, e.g. ['state', 'db']. Such
+     * providers receive a frozen environment that contains only the keys they require, along with the keys listed in
+     * Providers.defaultCapabilities (their own router, logger, status function and registry). Required keys that the environment
+     * does not provide, and attempts to read keys that the environment provides but the provider has not declared, are logged
+     * as warnings. If 'environment.scopeEnvironments' is true, providers that do not declare 'requires' only receive the defaults.
+     * Otherwise they receive a copy of the whole environment.
+     *
+     * Providers that store data in their StateStore may export a 'stateVersion' key (a non-negative integer) and a 'migrations' key,
+     * an array of functions where 'migrations[i]' migrates the persisted state from version i to version i + 1 (so 'stateVersion'
+     * must equal the number of migrations, and defaults to it). Each migration is called as migration(state, { from, to, provider })
+     * and may return a promise. Before '.setup' is called, the version recorded in the provider's StateStore (0 if none has been
+     * recorded, so the first migration should handle both an empty store and state persisted before versioning) is compared to
+     * 'stateVersion' and any pending migrations are run in order, recording the version after each one. If the recorded version is
+     * newer than 'stateVersion' (a downgrade), or a migration fails, '.setup' is not called and the provider is marked as failed,
+     * with the reason attached to the module as 'error'. Migrations only run for providers that declare '.setup' and receive a StateStore.
+     *
+     * Providers may also export a 'dependencies' key, listing the providers that need to be set up before them.
+     * This can be an array of provider names and/or { name, version } objects, or an object mapping provider
+     * names to semver version ranges (e.g. { auth: '^1.2.0' }). Providers are set up in dependency order, and
+     * each provider's setup is started only once the setup of all its dependencies has finished.
+     *
+     * A provider will be skipped (not set up, not mounted and removed from the returned providers object) if
+     * any of its dependencies are missing, do not satisfy the declared version range, failed during setup or
+     * were skipped themselves. Providers that are part of a dependency cycle are skipped as well. The reason
+     * is logged and attached to the skipped provider module as 'error'.
+     *
+     * In order to help configure providers, the caller can pass information in the 'environment' parameter obejct.
+     * 
+     * This method assumes that the 'environment' object contains the following properties, and will generate default values if they do not:
+     * - log: A logging function: (msg, level) => { #Logging logic# }. If not set, this will be set to Providers.defaultLogger.
+     *   Each provider receives a child logger as 'environment.log', which calls this function as (msg, level, { provider, version, ... }),
+     *   so that every entry is attributed to the provider that logged it. Messages may be strings, errors or plain objects.
+     *   The child logger also has one method per level (e.g. environment.log.warn(msg)) and a 'child' method to attach more fields.
+     *   See Providers.jsonLogger and Providers.createLogger for structured alternatives to the default logger.
+     * - router: An Expressjs router that any endpoints exported by the providers will be attached to. If not set, a new router object will be generated.
+     * 
+     * The method also recognizes the following optional properties:
+     * collisionPolicy: How to resolve name collisions between provider specifications (see above): 'last-wins' (the default),
+     *   'first-wins', 'suffix' or 'error'.
+     * compatibilityPolicy: How to handle providers that are incompatible with this utility or the host (see above): 'error' (refuse to load
+     *   them, the default), 'warn' (log a warning and load them anyway) or 'ignore' (skip the check).
+     * routeConflictPolicy: How to handle route conflicts (see above): 'warn' (log a warning and register the endpoint or mount the
+     *   provider anyway, the default) or 'error' (reject the conflicting endpoint, or skip the provider whose mount path conflicts).
+     *   Conflicts are listed in the setup report (see Providers.report).
+     * errorResponder: A function used to respond to requests when an endpoint handler throws an error or returns a rejected promise:
+     *   (error, req, res, { status, traceId, provider, method, route }) => { #Response logic# }. Errors with a 'status' (or 'statusCode')
+     *   between 400 and 599 are mapped to that status, other errors to 500. If not set, Providers.defaultErrorResponder is used.
+     * registry: A service registry and event bus shared by the providers. If not set, a new one will be created. Each provider
+     *   receives a view of it as 'environment.registry', with the following methods:
+     *   - provide(serviceName, impl): Registers a service implementation.
+     *   - consume(serviceName, options): Returns a promise that resolves to the service implementation once it has been provided
+     *     (rejected after 'options.timeout' milliseconds, if set). Providers that consume services during '.setup' should declare
+     *     the providing provider as a dependency, or they will wait until their setup times out.
+     *   - publish(topic, payload): Publishes an event named '<provider name>.<topic>'.
+     *   - subscribe(pattern, handler): Subscribes to events whose name matches the pattern ('*' matches any sequence of characters).
+     *     The handler is called as handler(payload, { event, topic, sender, timestamp }). Returns a function that unsubscribes.
+     *   Services and subscriptions are released when the provider is torn down.
+     * security: A middleware function applied to all endpoints that do not declare their own security (see above).
+     * authorize: A function that checks whether a request is granted the scopes required by an endpoint:
+     *   (req, scopes, { provider, method, route }) => { #Return true (or a promise resolving to true) if granted# }. Requests that are not
+     *   granted are answered with status 403. To answer with a different status (e.g. 401), throw an error with a 'status'. If not
+     *   set, all requests to endpoints that require scopes are denied.
+     * metrics: A metrics collector shared by the providers. If not set, a new one will be created. Requests to HTTP endpoints,
+     *   WebSocket connections and setup durations are recorded in it (see Providers.metrics).
+     * rateLimitStore: The store that holds the rate limit buckets of endpoints that do not declare their own 'store'. If not set,
+     *   an in-memory store will be created. Stores have the methods get(key) and set(key, bucket), which may return promises.
+     *   Buckets are plain objects ({ tokens, updated, full }, where 'full' is the time at which the bucket will have refilled),
+     *   and get should resolve to null for unknown keys. Requests are let through (and the error logged) if the store fails.
+     * principal: A function that returns the authenticated principal of a request (or a promise resolving to it), used by
+     *   rate limits keyed by 'principal'. If not set, 'req.user' (its 'id', 'sub' or 'name' if it is an object) is used.
+     * logLevel: The minimum level of the entries logged by providers (see Providers.logLevels). Defaults to 'debug'.
+     * validateRequests: If true, requests to all endpoints are validated against their 'openapi' declarations (see above).
+     * scopeEnvironments: If true, every provider receives a scoped environment, even if it does not declare 'requires' (see above).
+     * reservedNames: Array of names that providers may not be registered under, in addition to Providers.reservedNames (see above).
+     * host: The version of the host application (e.g. '2.1.0'), or an object with the keys 'name' (the host's package name) and 'version'.
+     *   Used to check the host compatibility ranges declared by providers.
+     * state: If this is a a StateStore object with a 'delegate' scope (has the 'getStore' method), the setup will use this to generate new 'simple' StateStore objects for the providers.
+     * 
+     * Each call to a provider's '.setup' is given a limited time to finish. The limit can be set per provider as 'setupTimeout' on
+     * the provider specification, for all providers as 'environment.setupTimeout', and defaults to Providers.setupTimeout. Setups
+     * that fail can be retried by setting 'setupRetries' (number of retries, default 0) and 'setupRetryDelay' (milliseconds before
+     * the first retry, doubled for each subsequent retry, default 1000) on the specification or environment. Setups that time out
+     * are not retried, since the call that timed out keeps running in the background and '.setup' would be called twice.
+     * 
+     * Every set up provider has a status (see Providers.status):
+     *  - ready: The provider's setup finished successfully.
+     *  - degraded: The provider is working, but with reduced functionality.
+     *  - failed: The provider's setup failed or timed out.
+     * Providers can change their own status by calling 'environment.setStatus(status, reason)' on the environment passed to
+     * '.setup'. Endpoints of providers that are not 'ready' or 'degraded' respond with status 503 and a JSON body describing
+     * the provider's status, and WebSocket connections to them are closed with code 1013.
+     * 
+     * Besides logging, the outcome of the setup is recorded in a machine-readable report, available as Providers.report(providers)
+     * once the setup has finished (and as Providers.lastReport, until the next setup starts).
+     * 
+     * @param providerSpecs Array of module names that should be loaded as providers.
+     * @param environment Core environment, this object will be passed to all providers that decalre a 'setup' method. If not provided an empty object with default values will be used.
+     * @param providers Prepopulated providers list, this object will be returned by the function. This parameter can be safely omitted, in which case a new object will be created.
+     * @returns An object mapping provider names to loaded provider modules.
+     */
+    static async setup (providerSpecs, environment, providers) {
+
+        environment = _prepareEnvironment(environment)
+        const log = environment.log
+
+        let start = performance.now()
+        let report = Providers.lastReport = { startedAt: new Date().toISOString(), duration: 0, providers: [], collisions: [] }
+
+        if (!providers) {
+            providers = {}
+        }
+
+        if (!providerSpecs) {
+            log (`No providerSpecs provided.`)
+            return providers
+        }
+
+        if (Array.isArray(providerSpecs)) {
+            if (providerSpecs.length === 0) {
+                log(`ProvderSpecs empty.`)
+                return providers
+            }
+        } else {
+            providerSpecs = [providerSpecs]
+        }
+
+        log(`Loading providers...`)
+
+        let context = _getContext(providers, environment)
+        context.report = report
+        let { specs: providerSpecsMap, entries } = await _loadProviderSpecs(providerSpecs, environment, providers, report)
+
+        // Order the providers so that each provider is set up after its dependencies.
+        // Each promise resolves to the reason the provider was skipped, or null if it was set up:
+        let { dependencies, order, pending: promises } = _planProviders(providers)
+
+        // Perform setup on the providers, starting each provider once its dependencies have finished:
+        for (const p of order) {
+            promises[p] = (async () => {
+                let reason = await _checkDependencies(providers, dependencies[p], promises)
+                if (reason) {
+                    return reason
+                }
+
+                let mountConflict = _checkMountPath(environment, p)
+                if (mountConflict) {
+                    if (mountConflict.refused) {
+                        return mountConflict.message
+                    }
+                    log(`${mountConflict.message}.`, 'warn')
+                    if (entries[p]) {
+                        entries[p].warnings.push(mountConflict.message)
+                    }
+                }
+
+                if (context.records[p]) {
+                    _unmountRouter(context.records[p].parent, context.records[p].router)
+                }
+
+                let record = context.records[p] = _createRecord(p, environment.router)
+                environment.router.use(`/${p}`, record.router)
+                context.order = context.order.filter(n => n !== p).concat([p])
+
+                let result = await _runSetup(record, providers[p], providers, p, providerSpecsMap[p], environment)
+
+                if (entries[p]) {
+                    entries[p].duration = result.duration
+                    entries[p].attempts = record.attempts
+                    if (result.error) {
+                        entries[p].status = 'failed'
+                        entries[p].reason = result.reason
+                    }
+                }
+
+                return null
+            })()
+        }
+
+        // Drop any providers that could not be set up because of their dependencies:
+        for (const p in promises) {
+            let reason = await promises[p]
+            if (reason) {
+                log(`Skipping provider '${p}': ${reason}.`, 'error')
+                providers[p].error = new Error(reason)
+                delete providers[p]
+                if (entries[p]) {
+                    entries[p].status = 'skipped'
+                    entries[p].reason = reason
+                }
+            }
+        }
+
+        // Perform endpoint registration:
+        for (const namespace in providers) {
+            let endpoints = _registerEndpoints(context.records[namespace], namespace, providers[namespace], environment)
+            if (entries[namespace]) {
+                entries[namespace].endpoints = endpoints
+                if (_routeConflictPolicy(environment) === 'warn') {
+                    entries[namespace].warnings.push(...endpoints.conflicts.map(conflict => conflict.reason))
+                }
+            }
+        }
+
+        report.providers.forEach(entry => {
+            entry.status = entry.status || 'loaded'
+        })
+        report.duration = performance.now() - start
+
+        return providers
+    }
+
+    /**
+     * Discovers provider modules and returns provider specifications for them that can be passed to Providers.setup.
+     * 
+     * Providers are discovered in two ways:
+     *  - By scanning directories for provider modules. Every '.js', '.cjs' and '.mjs' file, as well as every
+     *    subdirectory containing a package.json or an index.js, is considered a provider module. Each is identified by its
+     *    file name without extension (or the 'name' in its package.json).
+     *  - By scanning a node_modules directory for packages whose package.json has the keyword 'morrigan-provider'
+     *    or a 'morrigan' field. Each is identified by its package name. If the 'morrigan' field is an object with a
+     *    'name' key, that name is used as the provider name.
+     * 
+     * Discovered modules are specified by their absolute path ('moduleName'). If the same identifier is found more
+     * than once, the first one found is used, with directories scanned before node_modules.
+     * 
+     * The following options are recognized:
+     *  - directories: A directory, or an array of directories, to scan for provider modules.
+     *  - nodeModules: A node_modules directory, or an array of them, to scan for provider packages. Defaults to
+     *    'node_modules' in the current working directory. Set to false to skip scanning node_modules.
+     *  - include: Array of patterns, only providers whose identifier matches at least one pattern are returned.
+     *  - exclude: Array of patterns, providers whose identifier matches any of them are not returned.
+     *  - configFile: Path to a JSON file (or a JS module) with an object of the form { include, exclude, providers }.
+     *    'include' and 'exclude' are used unless given as options, and 'providers' maps provider identifiers to
+     *    objects whose keys are merged into the provider's specification (or to false to exclude the provider).
+     *  - log: Logging function. Defaults to Providers.defaultLogger.
+     * 
+     * Patterns are either regular expressions or strings, where '*' matches any sequence of characters.
+     * 
+     * @param options Options object (see above).
+     * @returns An array of provider specifications.
+     */
+    static async discover (options) {
+        options = options || {}
+        const log = (typeof options.log === 'function') ? options.log : Providers.defaultLogger
+
+        let toArray = (value) => (value === undefined || value === null) ? [] : (Array.isArray(value) ? value : [value])
+
+        let config = {}
+        if (options.configFile) {
+            let configPath = path.resolve(options.configFile)
+            log(`Reading provider configuration from '${configPath}'...`)
+            config = configPath.endsWith('.json') ? JSON.parse(await fs.promises.readFile(configPath, 'utf8')) : require(configPath)
+        }
+
+        let include = toArray(options.include !== undefined ? options.include : config.include)
+        let exclude = toArray(options.exclude !== undefined ? options.exclude : config.exclude)
+        let overrides = config.providers || {}
+
+        let candidates = []
+
+        for (const directory of toArray(options.directories)) {
+            try {
+                candidates.push(...await _scanDirectory(path.resolve(directory)))
+            } catch (e) {
+                log(`Unable to scan directory '${directory}' for providers: ${e}`, 'error')
+            }
+        }
+
+        let nodeModules = (options.nodeModules === false) ? [] : toArray(options.nodeModules || path.join(process.cwd(), 'node_modules'))
+        for (const directory of nodeModules) {
+            try {
+                candidates.push(...await _scanNodeModules(path.resolve(directory)))
+            } catch (e) {
+                log(`Unable to scan '${directory}' for provider packages: ${e}`, 'error')
+            }
+        }
+
+        let found = {}
+        let specs = []
+
+        candidates.forEach(candidate => {
+            if (found[candidate.id]) {
+                log(`Provider '${candidate.id}' was found more than once, ignoring '${candidate.moduleName}' (using '${found[candidate.id]}').`)
+                return
+            }
+            found[candidate.id] = candidate.moduleName
+
+            if (include.length > 0 && !_matchesAny(candidate.id, include)) {
+                log(`Provider '${candidate.id}' is not included, skipping...`)
+                return
+            }
+
+            if (_matchesAny(candidate.id, exclude) || overrides[candidate.id] === false) {
+                log(`Provider '${candidate.id}' is excluded, skipping...`)
+                return
+            }
+
+            log(`Discovered provider '${candidate.id}' at '${candidate.moduleName}'.`)
+            specs.push(Object.assign({ moduleName: candidate.moduleName }, candidate.defaults, overrides[candidate.id]))
+        })
+
+        return specs
+    }
+
+    /**
+     * Validates provider specifications without setting up the providers.
+     * 
+     * The specifications are resolved the same way as by Providers.setup (including name validation, reserved names,
+     * collisions, configuration, compatibility and dependencies), and the versions and endpoints declared by the providers
+     * are checked. Providers whose version is not a valid semantic version (e.g. '1.0.0') are skipped, although
+     * Providers.setup accepts them. No '.setup' hooks are called and nothing is mounted.
+     * 
+     * The result is an object with the following keys:
+     *  - valid: True if every specification resolved to a provider, and no endpoints were rejected (endpoints that conflict
+     *    are only rejected if 'environment.routeConflictPolicy' is 'error').
+     *  - providers: An array with an entry for each provider specification (see Providers.report), where 'status' is
+     *    'valid', 'skipped' or 'failed'.
+     *  - collisions: Name collisions between the specifications (see Providers.report).
+     *  - routes: The route table: an array of { provider, method, path, security } for every valid endpoint, where 'path' is
+     *    '/<provider><route>' and 'security' describes the security applied to the endpoint ('environment' where the endpoint
+     *    relies on 'environment.security').
+     * 
+     * @param providerSpecs Array of provider specifications (see Providers.setup).
+     * @param environment Optional core environment, used for the options that affect how specifications are resolved
+     *  (e.g. 'collisionPolicy', 'routeConflictPolicy', 'reservedNames' and 'host'). If it has a 'router', the providers'
+     *  mount paths are checked against the routes on it. The object is not modified.
+     * @param providers Optional object that the valid provider modules are added to (e.g. to pass to Providers.openapi).
+     *  Providers that are already in the object are used to resolve dependencies, but are neither validated nor removed.
+     * @returns The validation result.
+     */
+    static async validate (providerSpecs, environment, providers) {
+        environment = _prepareEnvironment(Object.assign({}, environment))
+
+        let result = { valid: true, providers: [], collisions: [], routes: [] }
+        if (!providerSpecs) {
+            providerSpecs = []
+        } else if (!Array.isArray(providerSpecs)) {
+            providerSpecs = [providerSpecs]
+        }
+
+        providers = providers || {}
+        let { entries } = await _loadProviderSpecs(providerSpecs, environment, providers, result)
+
+        // Check versions and dependencies in dependency order, so that providers depending on skipped providers are skipped as well:
+        // Providers that were already in the 'providers' object (and have no entry) are only used to resolve dependencies:
+        let { dependencies, order, pending } = _planProviders(providers)
+        for (const p of order) {
+            let reason = null
+            if (entries[p]) {
+                reason = semver.valid(entries[p].version)
+                    ? await _checkDependencies(providers, dependencies[p], pending)
+                    : `Invalid version '${entries[p].version}' (should be a semantic version, e.g. '1.0.0')`
+            }
+            pending[p] = Promise.resolve(reason)
+        }
+
+        for (const p in pending) {
+            let reason = await pending[p]
+            if (reason && entries[p]) {
+                delete providers[p]
+                entries[p].status = 'skipped'
+                entries[p].reason = reason
+            }
+        }
+
+        // Check the endpoint declarations and build the route table:
+        let conflictPolicy = _routeConflictPolicy(environment)
+        for (const name in providers) {
+            if (!entries[name]) {
+                continue
+            }
+
+            let provider = providers[name]
+            let endpoints = Array.isArray(provider.endpoints) ? provider.endpoints : []
+            let providerInvalid = _validateSecurity(provider.security) || _validateMiddleware(provider.middleware) || _validateRateLimit(provider.rateLimit)
+            let conflicts = _findRouteConflicts(endpoints)
+
+            let mountConflict = _checkMountPath(environment, name)
+            if (mountConflict) {
+                if (mountConflict.refused) {
+                    delete providers[name]
+                    entries[name].status = 'skipped'
+                    entries[name].reason = mountConflict.message
+                    continue
+                }
+                entries[name].warnings.push(mountConflict.message)
+            }
+
+            endpoints.forEach((endpoint, index) => {
+                let invalid = _validateEndpoint(endpoint) || (providerInvalid && `Invalid provider declaration: ${providerInvalid}`)
+                if (invalid) {
+                    entries[name].endpoints.rejected.push({ method: endpoint.method, route: endpoint.route, reason: invalid })
+                    return
+                }
+
+                let conflict = conflicts[index]
+                if (conflict) {
+                    entries[name].endpoints.conflicts.push(conflict)
+                    if (conflictPolicy === 'error') {
+                        entries[name].endpoints.rejected.push({ method: endpoint.method, route: endpoint.route, reason: conflict.reason })
+                        return
+                    }
+                    entries[name].warnings.push(conflict.reason)
+                }
+
+                let method = endpoint.method.toLowerCase()
+                entries[name].endpoints.registered.push({ method, route: endpoint.route })
+                result.routes.push({
+                    provider: name,
+                    method: method.toUpperCase(),
+                    path: `/${name}${endpoint.route}`,
+                    security: _describeSecurity(endpoint, provider, environment)
+                })
+            })
+        }
+
+        result.providers.forEach(entry => {
+            entry.status = entry.status || 'valid'
+            delete entry.duration
+            delete entry.attempts
+        })
+        result.valid = result.providers.every(entry => entry.status === 'valid' && entry.endpoints.rejected.length === 0)
+
+        return result
+    }
 
     /**
-     * Default logging function used by this utility if none is provided.
+     * Retrieves the status of providers that have been set up (see Providers.setup).
      * 
-     * @param {object} msg Message to log.
-     * @param {string} level Severity of this log entry. 
+     * @param providers The providers object returned by Providers.setup.
+     * @param name Optional name of a single provider.
+     * @returns An object mapping provider names to objects with the keys 'status', 'reason' and 'attempts'.
+     *          If a name is given, only the object for that provider is returned (or null if no such provider has been set up).
      */
-    static async defaultLogger(msg, level) {
-        if (Providers.enableDefaultLogger) {
-            console.log(`morrigan.utils.providers default logger | ${level? level : 'info'}: ${msg}`)
+    static status (providers, name) {
+        let context = providers ? _contexts.get(providers) : null
+        let records = context ? context.records : {}
+
+        let describe = (record) => ({ status: record.status, reason: record.reason, attempts: record.attempts })
+
+        if (name !== undefined) {
+            return records[name] ? describe(records[name]) : null
         }
+
+        let result = {}
+        for (const p in records) {
+            result[p] = describe(records[p])
+        }
+        return result
     }
 
     /**
-     * Enumerates and loads providers specified by providerSpecs, adding any exported endpoints to
-     * the provided router object.
+     * Retrieves the report describing the outcome of the most recent call to Providers.setup for a providers object.
      * 
-     * Providers can be specified using a string, and object or a function object:
-     *   - A string that should be the name of a module that can be resolved using 'require'.
-     *   - A complex type (object/function) with a combination of the following keys:
-     *     - name: The name under which this provider will be registered.
-     *       If this is provided it overrides the 'name' exported by the module.
-     *     - moduleName: The name of a provider module that should be loaded.
-     *     - module: Either a string indicating the name of a module to load, or a preloaded module object. 
+     * The report is an object with the following keys:
+     *  - startedAt: ISO timestamp of when the setup started.
+     *  - duration: Number of milliseconds the setup took.
+     *  - collisions: An array with an entry for each name collision, with the keys 'name', 'policy', 'indexes' (the positions of the
+     *    earlier and the later specification in 'providerSpecs') and 'renamedTo' (the name given to the later provider by the 'suffix' policy).
+     *  - providers: An array with an entry for each provider specification, in the order they were given. Each entry has the keys:
+     *    - index: Position of the specification in 'providerSpecs'.
+     *    - name: The name the provider was registered under (null if it could not be determined).
+     *    - moduleName: The name of the loaded module (null for preloaded modules).
+     *    - version: The provider version.
+     *    - status: 'loaded', 'skipped' (invalid specification, invalid name, invalid configuration, incompatibility or unmet dependencies) or 'failed' (the module could not be loaded or '.setup' threw an error).
+     *    - reason: Description of why the provider was skipped or failed (null if it was loaded).
+     *    - duration: Number of milliseconds the provider's '.setup' took.
+     *    - attempts: Number of times the provider's '.setup' was called (see 'setupRetries').
+     *    - warnings: Array of warnings about the provider, such as incompatibilities ignored because of 'environment.compatibilityPolicy'.
+     *    - endpoints: An object with the keys 'registered' (array of { method, route }), 'rejected' (array of { method, route, reason })
+     *      and 'conflicts' (array of { type, method, route, conflictsWith, reason }, see 'environment.routeConflictPolicy').
      * 
+     * Providers whose '.setup' failed are still mounted, and their endpoints are still registered.
      * 
-     * Provider should export a 'name' key, otherwise they will be dropped. The name should contain
-     * only alphanumeric characters, '-', '_' and '.'.
+     * @param providers The providers object returned by Providers.setup.
+     * @returns The setup report, or null if no providers have been set up with the providers object.
+     */
+    static report (providers) {
+        let context = providers ? _contexts.get(providers) : null
+        return (context && context.report) || null
+    }
+
+    /**
+     * Lists the open WebSocket connections to the 'ws' endpoints of providers that have been set up.
      * 
-     * The 'name' key is used to register the provider internally. If 2 or more providers specify
-     * the same name, the provider specified last in the list will be used.
+     * @param providers The providers object returned by Providers.setup.
+     * @param name Optional name of a single provider. If omitted, the connections to all providers are listed.
+     * @returns An array of objects with the keys 'provider', 'route', 'remoteAddress', 'openedAt' and 'socket' (the WebSocket connection).
+     */
+    static connections (providers, name) {
+        let context = providers ? _contexts.get(providers) : null
+        let records = context ? context.records : {}
+        let names = (name !== undefined) ? [name] : Object.keys(records)
+
+        let result = []
+        names.filter(p => records[p]).forEach(p => {
+            records[p].sockets.forEach((connection, ws) => {
+                result.push(Object.assign({}, connection, { socket: ws }))
+            })
+        })
+        return result
+    }
+
+    /**
+     * Closes the open WebSocket connections to the 'ws' endpoints of providers that have been set up.
      * 
-     * If the intended module does not specify a name (or if you want to use a different name), this can
-     * be specified by the provider specification.
+     * @param providers The providers object returned by Providers.setup.
+     * @param name Optional name of a single provider. If omitted, the connections to all providers are closed.
+     * @param code WebSocket close code. Defaults to 1001 (going away).
+     * @param reason Close reason. Defaults to 'Connection closed by server'.
+     * @returns The number of connections that were closed.
+     */
+    static closeConnections (providers, name, code, reason) {
+        let connections = Providers.connections(providers, name)
+        connections.forEach(connection => {
+            try {
+                connection.socket.close(code || 1001, reason || 'Connection closed by server')
+            } catch {
+                connection.socket.terminate()
+            }
+        })
+        return connections.length
+    }
+
+    /**
+     * Checks the health of all providers that have been set up, and optionally mounts liveness and readiness routes.
      * 
-     * Providers may export a 'endpoints' key and a 'version' key. If no 'version' key is exported, then
-     * the package version will be used. If no package version can be determined (e.g. the module
-     * is pre-loaded) the version will be set to 0.0.0 
+     * Providers may export a 'health' function (synchronous or asynchronous), which is called with the environment
+     * passed to the provider's '.setup' and the providers object. It should return a boolean, a status string
+     * ('ready', 'degraded' or 'failed') or an object with the keys 'status', 'details' and (optionally) 'reason'.
      * 
-     * Endpoints should be exported as an array of objects with the following fields:
-     *  - route: A path to be appended to the (providerSpec + route).
-     *  - method: A HTTP method.
-     *  - handler: A function to be registered as handler fo the endpoint.
-     *  - openapi: A OpenAPI specification for the endpoint path (see https://swagger.io/specification/#path-item-object). This can also be attached directly to the handler.
-     *  - security: A middleware function to apply to the endpoint. This overrides any default security middleware set by the environment. To strip any security for the endpoint, set this to null.
+     * The health of each provider combines its status from Providers.setup (see Providers.status), any error recorded
+     * as 'error' on the provider and the result of its 'health' function, with the worst status winning. 'health'
+     * functions that throw or do not finish in time count as 'failed'. Providers that were skipped or failed while loading
+     * during the last setup (see Providers.report), e.g. because of a missing dependency or an invalid configuration,
+     * are included as 'failed', with 'setup' set to their status in the setup report. The overall status is 'failed'
+     * if any provider failed, 'degraded' if any provider is degraded and 'ready' otherwise.
      * 
-     * In order to help configure providers, the caller can pass information in the 'environment' parameter obejct.
+     * The following options are recognized:
+     *  - timeout: Number of milliseconds to wait for each provider's 'health' function. Defaults to 2000.
+     *  - includeSkipped: Set to false to leave out the providers that were skipped or failed while loading. Defaults to true.
+     *  - livenessRoute: If set, a GET route is mounted on this path that responds with status 200 as long as the
+     *    server is able to respond at all.
+     *  - readinessRoute: If set, a GET route is mounted on this path that responds with the health report, with
+     *    status 200 if the overall status is 'ready' or 'degraded', and 503 otherwise.
+     *  - router: The router to mount the routes on. Defaults to the 'environment.router' used to set up the providers.
      * 
-     * This method assumes that the 'environment' object contains the following properties, and will generate default values if they do not:
-     * - log: A logging function: (msg, level) => { #Logging logic# }. If not set, this will be set to console.log.
-     * - router: An Expressjs router that any endpoints exported by the providers will be attached to. If not set, a new router object will be generated.
+     * @param providers The providers object returned by Providers.setup.
+     * @param options Options object (see above).
+     * @returns A health report: an object with the keys 'status', 'checkedAt' and 'providers' (mapping provider names,
+     *          or '#<index>' for specifications without a name, to objects with the keys 'status', 'setup', 'reason',
+     *          'details' and 'duration').
+     */
+    static async health (providers, options) {
+        providers = providers || {}
+        options = options || {}
+
+        let context = _contexts.get(providers)
+        let timeout = (typeof options.timeout === 'number') ? options.timeout : 2000
+
+        if (options.livenessRoute || options.readinessRoute) {
+            let router = options.router || (context && context.environment.router)
+            let checkOptions = { timeout, includeSkipped: options.includeSkipped }
+
+            if (router && options.livenessRoute) {
+                router.get(options.livenessRoute, (req, res) => {
+                    res.json({ status: 'alive', checkedAt: new Date().toISOString() })
+                })
+            }
+
+            if (router && options.readinessRoute) {
+                router.get(options.readinessRoute, async (req, res) => {
+                    let report = await Providers.health(providers, checkOptions)
+                    res.status(report.status === 'failed' ? 503 : 200).json(report)
+                })
+            }
+        }
+
+        let report = { status: 'ready', checkedAt: new Date().toISOString(), providers: {} }
+        let records = context ? context.records : {}
+        let names = Object.keys(records).filter(p => providers[p])
+
+        let results = await Promise.all(names.map(p => _checkHealth(records[p], providers[p], providers, timeout)))
+        names.forEach((p, i) => {
+            report.providers[p] = results[i]
+        })
+
+        if (options.includeSkipped !== false && context && context.report) {
+            context.report.providers
+                .filter(entry => (entry.status === 'skipped' || entry.status === 'failed') && !(entry.name && report.providers[entry.name]))
+                .forEach(entry => {
+                    report.providers[entry.name || `#${entry.index}`] = { status: 'failed', setup: entry.status, reason: entry.reason, details: null, duration: 0 }
+                })
+        }
+
+        for (const p in report.providers) {
+            let status = report.providers[p].status
+            if (_statusSeverity(status) > _statusSeverity(report.status)) {
+                report.status = (status === 'degraded') ? 'degraded' : 'failed'
+            }
+        }
+
+        return report
+    }
+
+    /**
+     * Stops all providers that were set up on the 'providers' object by Providers.setup.
      * 
-     * The method also recognizes the following optional properties:
-     * state: If this is a a StateStore object with a 'delegate' scope (has the 'getStore' method), the setup will use this to generate new 'simple' StateStore objects for the providers.
+     * Providers are stopped in the reverse order of their setup, so that any provider is stopped before
+     * the providers it depends on. For each provider this method will:
+     *  - Unmount the provider's sub-router from the router it was mounted on (normally 'environment.router').
+     *  - Close any open WebSocket connections made to the provider's 'ws' endpoints.
+     *  - Call the provider's 'teardown' method, if it declares one. The method is called with the
+     *    same environment object that was passed to the provider's 'setup' and the providers object.
      * 
-     * @param providerSpecs Array of module names that should be loaded as providers.
-     * @param environment Core environment, this object will be passed to all providers that decalre a 'setup' method. If not provided an empty object with default values will be used.
-     * @param providers Prepopulated providers list, this object will be returned by the function. This parameter can be safely omitted, in which case a new object will be created.
-     * @returns An object mapping provider names to loaded provider modules.
+     * Each 'teardown' call is given a limited time to finish ('environment.teardownTimeout' if set, and
+     * Providers.teardownTimeout otherwise). Errors and timeouts are logged, but do not stop the shutdown.
+     * 
+     * Stopped providers are removed from the 'providers' object.
+     * 
+     * @param providers The providers object returned by Providers.setup.
+     * @param environment Core environment. If omitted, the environment used during setup will be used.
+     * @returns The 'providers' object.
      */
-    static async setup (providerSpecs, environment, providers) {
+    static async shutdown (providers, environment) {
+        let context = providers ? _contexts.get(providers) : null
 
-        // Ensure that we have an environment object
-        environment = environment || {}
-        // Make sure that we have a root router
-        environment.router = environment.router || express.Router()
-        const log = environment.log = (typeof environment.log === 'function')? environment.log : Providers.defaultLogger 
-        
-        
+        environment = environment || (context && context.environment) || {}
+        const log = (typeof environment.log === 'function')? environment.log : Providers.defaultLogger
+        const timeout = _teardownTimeout(environment)
 
-        if (!providers) {
-            providers = {}
+        if (!context) {
+            log(`No set up providers to shut down.`)
+            return providers
         }
 
-        if (!providerSpecs) {
-            log (`No providerSpecs provided.`)
-            return providers
+        log(`Shutting down providers...`)
+
+        for (const p of context.order.slice().reverse()) {
+            await _teardownProvider(context, providers, p, log, timeout)
         }
 
-        if (Array.isArray(providerSpecs)) {
-            if (providerSpecs.length === 0) {
-                log(`ProvderSpecs empty.`)
-                return providers
-            }
-        } else {
-            providerSpecs = [providerSpecs]
+        return providers
+    }
+
+    /**
+     * Builds an OpenAPI 3 document from the 'openapi' declarations of the endpoints exported by the providers.
+     * 
+     * Each endpoint may declare an OpenAPI path item object, either as 'openapi' on the endpoint declaration
+     * or attached to its handler. The path items are collected under the path the endpoint is mounted on
+     * ('<basePath>/<provider name><route>'), with Express route parameters (':id') converted to OpenAPI path
+     * templates ('{id}'). Path items declared by several endpoints on the same path are merged, and every
+     * operation is tagged with the name of the provider that declares it. Path parameters that are not
+     * declared by any endpoint are added as required string parameters.
+     * 
+     * Endpoints that are invalid (see Providers.setup) or are WebSocket ('ws') endpoints are not included.
+     * 
+     * The following options are recognized:
+     *  - info: OpenAPI info object. Defaults to { title: 'Morrigan', version: '0.0.0' }.
+     *  - servers: OpenAPI servers array.
+     *  - basePath: The path that 'environment.router' is mounted on (e.g. '/api'). Defaults to ''.
+     *  - route: If set, a GET route serving the document as JSON is mounted on this path. The document is
+     *    rebuilt for each request, so it always reflects the current providers.
+     *  - router: The router to mount 'route' on. Defaults to the 'environment.router' used to set up the providers.
+     *  - securitySchemes: OpenAPI security schemes object, added to the document as 'components.securitySchemes'.
+     *  - securityScheme: Name of the security scheme that scopes required by endpoints are declared for. Defaults to
+     *    the first scheme in 'securitySchemes', or 'morrigan'.
+     *  - environment: The environment used to resolve the security of endpoints. Defaults to the environment used to
+     *    set up the providers.
+     * 
+     * Operations of endpoints that require scopes (see Providers.setup) get a 'security' requirement listing the
+     * scopes for 'securityScheme', unless the operation declares its own 'security'.
+     * 
+     * @param providers The providers object returned by Providers.setup.
+     * @param options Options object (see above).
+     * @returns The OpenAPI document.
+     */
+    static openapi (providers, options) {
+        providers = providers || {}
+        options = options || {}
+
+        let basePath = (options.basePath || '').replace(/\/$/, '')
+
+        let document = {
+            openapi: '3.0.3',
+            info: Object.assign({ title: 'Morrigan', version: '0.0.0' }, options.info),
+            paths: {},
+            tags: []
         }
 
-        log(`Loading providers...`)
+        if (options.servers) {
+            document.servers = options.servers
+        }
 
-        var providerSpecsMap = {}
+        let context = _contexts.get(providers)
+        let environment = options.environment || (context && context.environment) || {}
+        let securityScheme = options.securityScheme || Object.keys(options.securitySchemes || {})[0] || 'morrigan'
 
-        // Inventory the list of providers and generate a list of normalized provider specifications:
-        providerSpecs.forEach(providerSpec => {
-            try {
-                // Resolve provider module:
-                switch (typeof providerSpec) {
-                    case "string":
-                        log(`Loading provider '${providerSpec}'...`)
-                        providerSpec = {
-                            moduleName: providerSpec,
-                            module: require(providerSpec)
-                        }
-                        break;
-                    case "object":
-                    case "function":
-                        log(`Reading provider specification: ${JSON.stringify(providerSpec)}`)
-                        if (providerSpec.module) {
-                            log(`Key 'module' is specified as '${typeof providerSpec.module}'`)
-                            if (typeof providerSpec.module == 'string') {
-                                log(`'module' key is a string, interpreting as moduleName and attempting to load module '${providerSpec.module}'...`)
-                                providerSpec = {
-                                    moduleName: providerSpec.module,
-                                    module: require(providerSpec.module)
-                                }
-                            }
-                        } else if (providerSpec.moduleName) {
-                            log(`'moduleName' key specified, loading provider module '${providerSpec.moduleName}'...`)
-                            providerSpec.module = require(providerSpec.moduleName)
-                        } else {
-                            log(`Provider specification '${providerSpec}' neither specifies moduleName or a preloaded module. Skipping.`)
-                            return
-                        }
-                        break;
-                    default:
-                        log(`Invalid provider type for provider '${providerSpec}' (found ${typeof providerSpec}, expected 'string', 'function' or 'object')`)
-                        return
-                }
+        if (options.securitySchemes) {
+            document.components = { securitySchemes: options.securitySchemes }
+        }
 
-                let provider = providerSpec.module
+        for (const name in providers) {
+            let provider = providers[name]
+            let endpoints = Array.isArray(provider.endpoints) ? provider.endpoints : []
+            let tagged = false
 
-                // Verify that the provider publishes a name:
-                if (!(providerSpec.name || provider.name)) {
-                    log('Neither provider specification or provider module specify a name, skipping...')
+            endpoints.forEach(endpoint => {
+                if (_validateEndpoint(endpoint) || endpoint.method.toLowerCase() === 'ws') {
                     return
                 }
 
-                if (!providerSpec.name && provider.name) {
-                    log(`Provider publishes a name, specification does not, using module name ('${provider.name}')`)
-                    providerSpec.name = provider.name
-                }
-
-                // Verify that the provider name is valid:
-                if (! (/[a-zA-Z0-9\-_.]+/.test(provider.name)) ) {
-                    log(`Provider name '${provider.name}' is invalid (should only contain alphanumeric characters, -, _ and .), skipping...`)
+                let pathItem = endpoint.openapi || endpoint.handler.openapi
+                if (!pathItem) {
                     return
                 }
 
-                // Resolving version information:
-                if (providerSpec.module.version) {
-                    providerSpec.version = providerSpec.module.version
-                } else if(providerSpec.moduleName) {
-                    let mainPath = require.resolve(providerSpec.moduleName)
-                    let modulesPath = require.resolve.paths(providerSpec.moduleName).find(v => { let rx = new RegExp('^' + v.replaceAll('\\', '\\\\')); return rx.test(mainPath) } )
-                    providerSpec.version = provider.version = require(`${modulesPath}/${providerSpec.moduleName}/package.json`).version
-                } else {
-                    log(`Provider '${providerSpec.name}' appears to be preloaded, but does no publish version number. Setting version '0.0.0'`)
-                    providerSpec.version = provider.version = "0.0.0"
-                }
+                let { path: openapiPath, parameters } = _openapiPath(basePath, name, endpoint.route)
+                let target = document.paths[openapiPath] = document.paths[openapiPath] || {}
 
-                if (providerSpec.moduleName) {
-                    log(`Registering provider module '${providerSpec.moduleName}' v${providerSpec.version} as '${providerSpec.name}'`)
-                } else {
-                    log(`Registering anonymous provider module v${providerSpec.version} as '${providerSpec.name}'`)
-                }
-                providers[providerSpec.name] = provider
-                providerSpecsMap[providerSpec.name] = providerSpec
-            } catch (e) {
-                log(`Failed to load provider module '${providerSpec}': ${e}`)
-            }
-        })
+                _mergePathItem(target, pathItem, name)
 
-        let routers = {}
-
-        // Perform setup on the providers and wait for them to finish:
-        let promises = []
-        for (const p in providers) {
-            let providerSpec = providerSpecsMap[p]
-            let provider = providers[p]
-            let subRouter = express.Router({mergeParams: true})
-            routers[p] = subRouter
-            environment.router.use(`/${p}`, routers[p])
-            subRouter._morrigan = { route: `/${p}` }
-            if (typeof provider.setup === 'function') {
-                let env = Object.assign({}, environment)
-                env.router = routers[p]
-                
-                if (env.state) {
-                    if (env.state.getStore) {
-                        env.state = await environment.state.getStore(p, 'simple')
-                    } else {
-                        delete env.state
-                    }
+                // Declare the scopes required by the endpoint, unless the operation declares its own security requirements:
+                let operation = target[endpoint.method.toLowerCase()]
+                let scopes = _resolveSecurity(endpoint, provider, environment).scopes
+                if (scopes.length > 0 && operation && typeof operation === 'object' && !operation.security) {
+                    operation.security = [{ [securityScheme]: scopes.slice() }]
                 }
 
-                try {
-                    let promise = null
-                    switch(provider.setup.constructor.name) {
-                        case 'AsyncFunction':
-                            promise = provider.setup(env, providers, providerSpec)
-                            break
-                        case 'Function':
-                            promise = new Promise(resolve => {
-                                resolve(provider.setup(env, providers, providerSpec))
-                            })
-                            break
+                parameters.forEach(parameter => {
+                    target.parameters = target.parameters || []
+                    if (!target.parameters.some(p => p.name === parameter && p.in === 'path')) {
+                        target.parameters.push({ name: parameter, in: 'path', required: true, schema: { type: 'string' } })
                     }
+                })
 
-                    promise.catch(e => {
-                        environment.log(`An error occurred in '.setup' on provider '${p}': ${e}`, 'error')
-                        environment.log(e, 'error')
-                        provider.error = e
-                    })
+                tagged = true
+            })
 
-                    promises.push(promise)
-                } catch(e) {
-                    environment.log(`An error occurred while invoking '.setup' on provider '${p}' as an asynchronous function: ${e}`, 'error')
-                    environment.log(e, 'error')
-                    provider.error = e
-                }
+            if (tagged) {
+                document.tags.push({ name, description: `Provider '${name}' v${provider.version || '0.0.0'}` })
             }
         }
 
-        await Promise.allSettled(promises)
+        if (options.route) {
+            let router = options.router || (context && context.environment.router)
+            let documentOptions = Object.assign({}, options, { route: null })
 
-        // Perform endpoint registration:
-        for (var namespace in providers) {
-            let provider = providers[namespace]
-            let endpoints = provider.endpoints
-            if (endpoints && Array.isArray(endpoints)) {
+            if (router) {
+                router.get(options.route, (req, res) => {
+                    res.json(Providers.openapi(providers, documentOptions))
+                })
+            }
+        }
+
+        return document
+    }
 
-                log (`Registering endpoints for '${namespace}':`)
+    /**
+     * Retrieves the metrics recorded for a set of providers.
+     * 
+     * The following metrics are recorded:
+     *  - morrigan_http_requests_total: Counter of HTTP requests, labelled by 'provider', 'method', 'route' (the route template,
+     *    including the provider's mount path) and 'status'.
+     *  - morrigan_http_request_duration_seconds: Histogram of the time taken to respond to HTTP requests, labelled by 'provider',
+     *    'method' and 'route'.
+     *  - morrigan_ws_connections_total: Counter of accepted WebSocket connections, labelled by 'provider' and 'route'.
+     *  - morrigan_ws_connections_open: Gauge of open WebSocket connections, labelled by 'provider' and 'route'.
+     *  - morrigan_provider_setup_duration_seconds: Gauge of the time taken by the most recent '.setup' of each provider, labelled by 'provider'.
+     * 
+     * The following options are recognized:
+     *  - format: 'json' to return a snapshot object mapping metric names to { type, help, values } (the default), or
+     *    'prometheus' to return the metrics in the Prometheus text exposition format.
+     *  - route: If set, a GET route serving the metrics in the Prometheus text format is mounted on this path.
+     *  - router: The router to mount 'route' on. Defaults to the 'environment.router' used to set up the providers.
+     * 
+     * @param providers The providers object returned by Providers.setup.
+     * @param options Options object (see above).
+     * @returns The metrics snapshot or Prometheus text, or null if the providers have not been set up.
+     */
+    static metrics (providers, options) {
+        options = options || {}
+        let context = providers ? _contexts.get(providers) : null
+        let metrics = context && context.environment.metrics
 
-                for (var i in endpoints) {
-                    let endpoint = endpoints[i]
+        if (!metrics) {
+            return null
+        }
 
-                    if (!endpoint.route || typeof(endpoint.route) !== 'string' || !endpoint.route.match(/\/([^/]+(\/[^/]+)*)?/) ) {
-                        log(`Invalid endpoint route specified: ${endpoint.route}`)
-                        continue
-                    }
+        if (options.route) {
+            let router = options.router || context.environment.router
+            router.get(options.route, (req, res) => {
+                res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+                res.send(metrics.prometheus())
+            })
+        }
 
-                    if (!endpoint.method || typeof(endpoint.method) !== 'string' || !_endpointMethods.includes(endpoint.method.toLowerCase())) {
-                        log(`Invalid endpoint method specified: ${endpoint.method}`)
-                        continue
-                    }
+        return (options.format === 'prometheus') ? metrics.prometheus() : metrics.snapshot()
+    }
 
-                    let method = endpoint.method.toLowerCase()
+    /**
+     * Adds a single provider to a set of providers that has already been set up.
+     * 
+     * The provider specification is resolved the same way as by Providers.setup, after which the provider's
+     * dependencies are checked against the providers that are already set up. If they are met, the provider
+     * is set up, mounted on 'environment.router' and its endpoints are registered.
+     * 
+     * Providers that are already registered under the same name are left untouched, use Providers.reload to
+     * replace them. If the environment's 'collisionPolicy' is 'suffix', the provider is added under a suffixed name instead.
+     * If routes or middleware on 'environment.router' conflict with the provider's mount path and the environment's
+     * 'routeConflictPolicy' is 'error', the provider is not added.
+     * 
+     * @param providers The providers object returned by Providers.setup. If omitted, a new object will be created.
+     * @param providerSpec A provider specification (see Providers.setup).
+     * @param environment Core environment. If omitted, the environment used to set up the providers will be used.
+     * @returns The 'providers' object.
+     */
+    static async add (providers, providerSpec, environment) {
+        providers = providers || {}
+        let context = _contexts.get(providers)
+        environment = _prepareEnvironment(environment || (context && context.environment))
+        context = _getContext(providers, environment)
+        const log = environment.log
 
-                    if (!endpoint.handler || typeof(endpoint.handler) !== 'function') {
-                        log(`Invalid endpoint handler specified: ${endpoint.handler}`)
-                        continue
-                    }
+        let spec = null
+        try {
+            spec = await _loadProviderSpec(providerSpec, log)
+        } catch (e) {
+            log(`Failed to load provider module '${providerSpec}': ${e}`)
+        }
 
-                    let route = `${endpoint.route}`
+        if (!spec) {
+            return providers
+        }
 
-                    log(`${method.toUpperCase().padStart(7, ' ')} ${route}`)
+        let incompatible = _checkCompatibility(spec, environment)
+        if (incompatible) {
+            spec.module.error = new Error(incompatible)
+            return providers
+        }
 
-                    // Exception for WebSocket connection endpoints, since wrapping the handler does not seem to work.
-                    if (method === 'ws') {
-                        routers[namespace].ws(route, endpoint.handler)
-                        continue
-                    }
+        if (_isReservedName(spec.name, environment)) {
+            log(`Unable to add provider '${spec.name}': The name is reserved.`, 'error')
+            spec.module.error = new Error(`The name '${spec.name}' is reserved`)
+            return providers
+        }
 
-                    // Create a new anonmyous wrapper for the handler:
-                    let handler = (...args) => {
-                        try {
-                            endpoint.handler(...args)
-                        } catch (e) {
-                            e._traceId = Math.random().toString(16).split('.')[1].toString()
-                            log(`An unexpected error occurred while accessing ${route} from ${req.connection.remoteAddress} (trace ID: ${e._traceId}): ${e.message}`, 'error')
-                            log(JSON.stringify(e), 'debug')
-                        }
-                    }
+        if (providers[spec.name] && environment.collisionPolicy === 'suffix') {
+            let n = 2
+            while (providers[`${spec.name}-${n}`]) {
+                n++
+            }
+            log(`The name '${spec.name}' is already registered, adding provider as '${spec.name}-${n}'.`, 'warn')
+            spec.name = `${spec.name}-${n}`
+        }
 
-                    if (endpoint.openapi) {
-                        // Attach the openapi declaration to the handler:
-                        handler.openapi = endpoint.openapi
-                    }
+        let name = spec.name
 
-                    let handlers = [handler]
+        if (providers[name]) {
+            log(`Unable to add provider '${name}': A provider with that name is already registered.`, 'error')
+            return providers
+        }
 
-                    // Check if we have default security middleware to apply:
-                    let security = environment.security
-                    // Check if the endpoint declaration provides it's own security middleware, if so use it:
-                    if (endpoint.security || endpoint.security === null) {
-                        security = endpoint.security
-                    }
-                    // Only apply security middleware if declared by either the endpoint or environment:
-                    if (security) {
-                        handlers.unshift(security)
-                    }
+        let reason = await _checkDependencies(providers, _providerDependencies(spec.module), {})
+        if (!reason) {
+            let mountConflict = _checkMountPath(environment, name)
+            if (mountConflict && mountConflict.refused) {
+                reason = mountConflict.message
+            } else if (mountConflict) {
+                log(`${mountConflict.message}.`, 'warn')
+            }
+        }
+        if (reason) {
+            log(`Skipping provider '${name}': ${reason}.`, 'error')
+            spec.module.error = new Error(reason)
+            return providers
+        }
 
-                    // Apply the endpoint handler:
-                    routers[namespace][endpoint.method](route, handlers)
-                }
+        providers[name] = spec.module
+
+        let record = context.records[name] = _createRecord(name, environment.router)
+        environment.router.use(`/${name}`, record.router)
+        context.order.push(name)
+
+        await _runSetup(record, spec.module, providers, name, spec, environment)
+        _registerEndpoints(record, name, spec.module, environment)
+
+        return providers
+    }
+
+    /**
+     * Replaces a single provider in a set of providers that has already been set up.
+     * 
+     * The current provider is torn down (its WebSocket connections are closed and its 'teardown' hook is called),
+     * after which the new provider module is set up with the same StateStore on a new sub-router. Once the new
+     * provider's endpoints have been registered, the new sub-router replaces the old one in a single step.
+     * While the provider is being torn down and the replacement is set up, its status is 'reloading' and its
+     * endpoints answer with 503.
+     * 
+     * If no provider specification is given, the provider's current specification is reused. Modules that were
+     * loaded by name are re-required, bypassing the require cache for the module's main file.
+     * 
+     * The replacement is registered under the same name as the current provider, regardless of the name
+     * declared by the new module or specification. If the new specification cannot be loaded, or its
+     * dependencies are not met, the current provider is left running.
+     * 
+     * @param providers The providers object returned by Providers.setup.
+     * @param name Name of the provider to reload.
+     * @param providerSpec Optional provider specification (see Providers.setup) for the replacement.
+     * @returns The 'providers' object.
+     */
+    static async reload (providers, name, providerSpec) {
+        let context = providers ? _contexts.get(providers) : null
+        let record = context && context.records[name]
+        let environment = _prepareEnvironment(context ? context.environment : null)
+        const log = environment.log
+
+        if (!record) {
+            log(`Unable to reload provider '${name}': No such provider has been set up.`, 'error')
+            return providers
+        }
+
+        if (!providerSpec) {
+            providerSpec = Object.assign({}, record.spec || { module: providers[name] })
+            if (providerSpec.moduleName) {
+                delete providerSpec.module
+            }
+        } else if (typeof providerSpec === 'string') {
+            providerSpec = { moduleName: providerSpec }
+        }
+        providerSpec.name = name
+
+        let spec = null
+        try {
+            spec = await _loadProviderSpec(providerSpec, log, true)
+        } catch (e) {
+            log(`Failed to load provider module '${providerSpec.moduleName || name}': ${e}`, 'error')
+        }
+
+        if (!spec || _checkCompatibility(spec, environment)) {
+            log(`Unable to reload provider '${name}', keeping the current provider.`, 'error')
+            return providers
+        }
+
+        let reason = await _checkDependencies(providers, _providerDependencies(spec.module), {})
+        if (reason) {
+            log(`Unable to reload provider '${name}', keeping the current provider: ${reason}.`, 'error')
+            return providers
+        }
+
+        log(`Reloading provider '${name}'...`)
+
+        // The current provider's endpoints should not be used once its teardown has started:
+        record.status = 'reloading'
+        record.reason = 'The provider is being reloaded'
+        await _stopProvider(record, providers[name], providers, name, log, _teardownTimeout(environment))
+
+        let replacement = _createRecord(name, record.parent, record)
+        providers[name] = spec.module
+
+        await _runSetup(replacement, spec.module, providers, name, spec, environment)
+        _registerEndpoints(replacement, name, spec.module, environment)
+
+        _replaceRouter(record.parent, record.router, replacement.router, `/${name}`)
+        context.records[name] = replacement
+
+        return providers
+    }
+
+    /**
+     * Removes a single provider from a set of providers that has already been set up.
+     * 
+     * The provider is unmounted, its WebSocket connections are closed and its 'teardown' hook is called
+     * (see Providers.shutdown). Removing a provider that other providers depend on is allowed, but logged.
+     * 
+     * @param providers The providers object returned by Providers.setup.
+     * @param name Name of the provider to remove.
+     * @returns The 'providers' object.
+     */
+    static async remove (providers, name) {
+        let context = providers ? _contexts.get(providers) : null
+        let environment = _prepareEnvironment(context ? context.environment : null)
+        const log = environment.log
+
+        if (!context || !context.records[name]) {
+            log(`Unable to remove provider '${name}': No such provider has been set up.`, 'error')
+            return providers
+        }
+
+        let dependents = context.order.filter(p => {
+            if (p === name) {
+                return false
             }
+            let dependencies = _providerDependencies(providers[p])
+            return !(dependencies instanceof Error) && dependencies.some(d => d.name === name)
+        })
+
+        if (dependents.length > 0) {
+            log(`Removing provider '${name}', which is required by: ${dependents.join(', ')}`, 'warn')
+        } else {
+            log(`Removing provider '${name}'...`)
         }
 
+        await _teardownProvider(context, providers, name, log, _teardownTimeout(environment))
+
         return providers
     }
+
+    /**
+     * Sets up providers on a throwaway Express app for testing, so that provider test suites do not need to wire up
+     * express-ws, a StateStore and a server themselves. Requires the 'express-ws' and 'ws' packages to be installed
+     * (usually as devDependencies of the provider package).
+     * 
+     * The providers are set up with Providers.setup on a new router mounted at the root of the app, with an in-memory
+     * stand-in for a 'delegate' StateStore as 'environment.state' and a logging function that captures every entry.
+     * The app then listens on an ephemeral port on 127.0.0.1.
+     * 
+     * The following options are recognized:
+     *  - environment: Additional environment keys (e.g. 'security', 'authorize' or services the providers require).
+     *    'environment.log' and 'environment.router' are always replaced by the harness.
+     *  - state: Set to false to set the providers up without a StateStore. Ignored if 'environment.state' is set.
+     *  - middleware: Array of middleware functions applied to the app before the providers' router, in place of the host's
+     *    application-level middleware. Defaults to [express.json()].
+     *  - log: A logging function that captured entries are also passed to (e.g. to print them while debugging).
+     * 
+     * The harness has the following keys:
+     *  - app, server, url: The Express app, the HTTP server and its base URL ('http://127.0.0.1:<port>').
+     *  - providers, environment, report: The providers object, the environment and the setup report (see Providers.report).
+     *  - state: The root in-memory StateStore (providers' stores can be inspected with state.getStore(name, 'simple')).
+     *  - logs: Array of captured log entries, in the format written by Providers.jsonLogger ({ time, level, message, provider, ... }).
+     *  - request(method, path, options): Sends an HTTP request and resolves to { status, headers, body, text }. 'options' may
+     *    have the keys 'body' (sent as JSON unless it is a string or a Buffer), 'headers' and 'query'. JSON responses are parsed
+     *    into 'body'. The shorthands get, post, put, patch and delete take (path, options).
+     *  - socket(path, options): Opens a WebSocket connection ('options.headers' are sent with the upgrade request) and resolves to
+     *    a connection object with the keys 'ws', 'messages', 'next(timeout)', 'send(data)', 'close(code, reason)' and 'closed'.
+     *  - setupErrors(): Returns an object mapping the names of providers that were skipped or failed during setup to the reason.
+     *  - logged(pattern, level): Returns the captured entries whose message matches the pattern (a RegExp or a substring),
+     *    optionally only those with the given level.
+     *  - assertSetupError(name, pattern), assertNoSetupErrors(), assertLogged(pattern, level), assertNotLogged(pattern, level):
+     *    Assertions (throwing an AssertionError) based on the above.
+     *  - close(): Closes open WebSocket connections, shuts the providers down (see Providers.shutdown) and stops the server.
+     * 
+     * @param providerSpecs Provider specifications (see Providers.setup).
+     * @param options Options object (see above).
+     * @returns A promise that resolves to the harness.
+     */
+    static async testing (providerSpecs, options) {
+        options = options || {}
+        // Only needed for testing, so they are loaded on demand:
+        const expressWs = require('express-ws')
+
+        let logs = []
+        let forward = (typeof options.log === 'function') ? options.log : null
+
+        let environment = Object.assign({}, options.environment)
+        environment.log = (msg, level, fields) => {
+            logs.push(_logRecord(msg, level, fields))
+            if (forward) {
+                forward(msg, level, fields)
+            }
+        }
+        environment.router = express.Router()
+        if (!environment.state && options.state !== false) {
+            environment.state = _createMemoryStateStore('testing', 'delegate')
+        }
+
+        let app = express()
+        expressWs(app)
+        let middleware = Array.isArray(options.middleware) ? options.middleware : [express.json()]
+        middleware.forEach(m => app.use(m))
+        app.use(environment.router)
+
+        let providers = await Providers.setup(providerSpecs, environment, {})
+        // Providers.setup returns early, without a report, if there are no specifications:
+        let report = Providers.report(providers) || { startedAt: new Date().toISOString(), duration: 0, providers: [], collisions: [] }
+
+        let server = await new Promise((resolve, reject) => {
+            let server = app.listen(0, '127.0.0.1', () => resolve(server))
+            server.once('error', reject)
+        })
+        let url = `http://127.0.0.1:${server.address().port}`
+        let sockets = new Set()
+        // Server.closeAllConnections is only available from Node 18.2, so connections are also tracked here:
+        let connections = new Set()
+        server.on('connection', connection => {
+            connections.add(connection)
+            connection.once('close', () => connections.delete(connection))
+        })
+        let closing = null
+
+        let harness = {
+            app,
+            server,
+            url,
+            providers,
+            environment,
+            report,
+            state: environment.state,
+            logs,
+            request: (method, path, options) => _testRequest(url, method, path, options),
+            socket: (path, options) => _testSocket(url, path, options, sockets),
+            setupErrors: () => {
+                let errors = {}
+                report.providers.filter(entry => entry.status === 'skipped' || entry.status === 'failed').forEach(entry => {
+                    errors[entry.name || `#${entry.index}`] = entry.reason
+                })
+                return errors
+            },
+            logged: (pattern, level) => logs.filter(entry => _matchesLogEntry(entry, pattern, level)),
+            assertSetupError: (name, pattern) => {
+                let reason = harness.setupErrors()[name]
+                assert.ok(reason, `Expected provider '${name}' to be skipped or to fail during setup.`)
+                if (pattern instanceof RegExp) {
+                    assert.match(reason, pattern)
+                } else if (pattern !== undefined) {
+                    assert.ok(reason.includes(`${pattern}`), `Expected the setup error of provider '${name}' to contain '${pattern}', found: ${reason}`)
+                }
+            },
+            assertNoSetupErrors: () => {
+                let errors = harness.setupErrors()
+                let names = Object.keys(errors)
+                assert.ok(names.length === 0, `Expected no setup errors, found: ${names.map(name => `${name}: ${errors[name]}`).join('; ')}`)
+            },
+            assertLogged: (pattern, level) => {
+                assert.ok(harness.logged(pattern, level).length > 0, `Expected a${level ? ` '${level}'` : ''} log entry matching ${pattern}.`)
+            },
+            assertNotLogged: (pattern, level) => {
+                let entries = harness.logged(pattern, level)
+                assert.ok(entries.length === 0, `Expected no${level ? ` '${level}'` : ''} log entries matching ${pattern}, found: ${entries.map(entry => entry.message).join('; ')}`)
+            },
+            close: () => {
+                closing = closing || (async () => {
+                    sockets.forEach(ws => ws.terminate())
+                    await Providers.shutdown(providers, environment)
+                    if (typeof server.closeAllConnections === 'function') {
+                        server.closeAllConnections()
+                    } else {
+                        connections.forEach(connection => connection.destroy())
+                    }
+                    await new Promise(resolve => server.close(() => resolve()))
+                })()
+                return closing
+            }
+        }
+
+        for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+            harness[method] = (path, options) => harness.request(method, path, options)
+        }
+
+        return harness
+    }
 }
 
 module.exports = Providers
\ No newline at end of file
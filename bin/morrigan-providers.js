@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+"strict"
+
+const fs = require('fs')
+const path = require('path')
+const { parseArgs } = require('util')
+const Providers = require('../Providers')
+
+const usage = `Usage: morrigan-providers <spec file> [options]
+
+Validates the provider specifications in <spec file> (a JSON file or a JS module exporting an array of
+provider specifications) without setting up the providers, and prints the route table.
+
+Options:
+  --openapi <file>       Write the aggregated OpenAPI document to <file>.
+  --base-path <path>     Path that the providers' router is mounted on (used for the OpenAPI document).
+  --collision <policy>   Name collision policy: last-wins, first-wins, suffix or error.
+  --route-conflicts <policy>
+                         Route conflict policy: warn or error.
+  --host <version>       Host version to check provider compatibility against.
+  --json                 Print the validation result as JSON instead of text.
+  --verbose              Print log messages while loading providers.
+  -h, --help             Print this message.
+
+Exits with status 0 if every specification is valid, 1 if any specification is invalid and 2 on usage errors.`
+
+// Values accepted by the policy options, as listed in the usage text:
+const policies = {
+    'collision': ['last-wins', 'first-wins', 'suffix', 'error'],
+    'route-conflicts': ['warn', 'error']
+}
+
+/**
+ * Reads provider specifications from a JSON file or a JS module.
+ *
+ * Relative module paths in the specifications are resolved relative to the directory of the file.
+ *
+ * @param file Path to the file.
+ * @returns An array of provider specifications.
+ */
+function readSpecs(file) {
+    let specPath = path.resolve(file)
+    let specs = specPath.endsWith('.json') ? JSON.parse(fs.readFileSync(specPath, 'utf8')) : require(specPath)
+    specs = Array.isArray(specs) ? specs : [specs]
+
+    let resolve = (moduleName) => (typeof moduleName === 'string' && moduleName.startsWith('.')) ? path.resolve(path.dirname(specPath), moduleName) : moduleName
+
+    return specs.map(spec => {
+        if (typeof spec === 'string') {
+            return resolve(spec)
+        }
+        if (spec && typeof spec === 'object') {
+            let resolved = Object.assign({}, spec)
+            if (typeof resolved.module === 'string') {
+                resolved.module = resolve(resolved.module)
+            }
+            if (resolved.moduleName) {
+                resolved.moduleName = resolve(resolved.moduleName)
+            }
+            return resolved
+        }
+        return spec
+    })
+}
+
+/**
+ * Formats rows as columns padded to the widest value in each column.
+ *
+ * @param rows Array of arrays of strings.
+ * @returns The formatted lines.
+ */
+function columns(rows) {
+    let widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)))
+    return rows.map(row => row.map((value, i) => (i === row.length - 1) ? value : value.padEnd(widths[i])).join('  '))
+}
+
+/**
+ * Prints the validation result as text.
+ *
+ * @param result The result of Providers.validate.
+ */
+function printResult(result) {
+    console.log('Providers:')
+    result.providers.forEach(entry => {
+        let label = entry.name ? `${entry.name} v${entry.version}` : `#${entry.index}`
+        let source = entry.moduleName ? ` (${entry.moduleName})` : ''
+        if (entry.status === 'valid') {
+            console.log(`  OK      ${label}${source}`)
+        } else {
+            console.log(`  ${entry.status.toUpperCase().padEnd(8)}${label}${source}: ${entry.reason}`)
+        }
+        entry.endpoints.rejected.forEach(endpoint => {
+            console.log(`          Rejected endpoint ${endpoint.method} ${endpoint.route}: ${endpoint.reason}`)
+        })
+        entry.warnings.forEach(warning => {
+            console.log(`          Warning: ${warning}`)
+        })
+    })
+
+    console.log('')
+    console.log('Routes:')
+    if (result.routes.length === 0) {
+        console.log('  (none)')
+        return
+    }
+    let rows = [['METHOD', 'PATH', 'SECURITY']].concat(result.routes.map(route => [route.method, route.path, route.security]))
+    columns(rows).forEach(line => console.log(`  ${line}`))
+}
+
+/**
+ * Runs the command.
+ *
+ * @param argv The command line arguments (excluding the node executable and the script).
+ * @returns The exit code.
+ */
+async function main(argv) {
+    let args = null
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                'openapi': { type: 'string' },
+                'base-path': { type: 'string' },
+                'collision': { type: 'string' },
+                'route-conflicts': { type: 'string' },
+                'host': { type: 'string' },
+                'json': { type: 'boolean' },
+                'verbose': { type: 'boolean' },
+                'help': { type: 'boolean', short: 'h' }
+            }
+        })
+    } catch (e) {
+        console.error(`${e.message}\n\n${usage}`)
+        return 2
+    }
+
+    if (args.values.help) {
+        console.log(usage)
+        return 0
+    }
+
+    if (args.positionals.length !== 1) {
+        console.error(usage)
+        return 2
+    }
+
+    for (const option in policies) {
+        let value = args.values[option]
+        if (value !== undefined && !policies[option].includes(value)) {
+            console.error(`Invalid value '${value}' for --${option} (expected ${policies[option].join(', ')}).\n\n${usage}`)
+            return 2
+        }
+    }
+
+    let specs = null
+    try {
+        specs = readSpecs(args.positionals[0])
+    } catch (e) {
+        console.error(`Unable to read provider specifications from '${args.positionals[0]}': ${e.message}`)
+        return 2
+    }
+
+    let environment = {
+        log: args.values.verbose ? (msg, level) => console.error(`${level || 'info'}: ${msg}`) : () => { /* Silent */ },
+        collisionPolicy: args.values.collision,
+        routeConflictPolicy: args.values['route-conflicts'],
+        host: args.values.host
+    }
+
+    let providers = {}
+    let result = await Providers.validate(specs, environment, providers)
+
+    if (args.values.json) {
+        console.log(JSON.stringify(result, null, 2))
+    } else {
+        printResult(result)
+    }
+
+    if (args.values.openapi) {
+        // Only valid providers are included in the document:
+        let document = Providers.openapi(providers, { basePath: args.values['base-path'] || '' })
+        try {
+            fs.writeFileSync(path.resolve(args.values.openapi), JSON.stringify(document, null, 2))
+        } catch (e) {
+            console.error(`Unable to write the OpenAPI document to '${args.values.openapi}': ${e.message}`)
+            return 2
+        }
+        if (!args.values.json) {
+            console.log('')
+            console.log(`OpenAPI document written to '${args.values.openapi}'.`)
+        }
+    }
+
+    return result.valid ? 0 : 1
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code
+}, e => {
+    console.error(e)
+    process.exitCode = 2
+})
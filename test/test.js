@@ -4,6 +4,11 @@ const expressws = require('express-ws')
 const http = require('http')
 const Providers = require('../Providers')
 const StateStore = require('@adicitus/morrigan.utils.statestore')
+const WebSocket = require('ws')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFile } = require('child_process')
 
 const app = express()
 expressws(app)
@@ -87,6 +92,450 @@ function debugProviderErrorsSync() {
     }
 }
 
+function debugProviderDependent(name, dependencies) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '1.0.0'
+
+    this.dependencies = dependencies
+
+    this.setupFinished = false
+
+    this.setup = async (environment, providers) => {
+        this.dependenciesReady = (Array.isArray(dependencies) ? dependencies : []).every(d => {
+            let n = (typeof d === 'string') ? d : d.name
+            return providers[n] && providers[n].setupFinished
+        })
+        await new Promise(resolve => setTimeout(resolve, 5))
+        this.setupFinished = true
+    }
+}
+
+function debugProviderTeardown(name, dependencies, teardownLog) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '1.0.0'
+
+    this.dependencies = dependencies
+
+    this.setup = (environment) => {
+        this.environment = environment
+    }
+
+    this.teardown = async (environment) => {
+        this.teardownEnvironment = environment
+        teardownLog.push(name)
+    }
+
+    this.endpoints = [
+        { route: '/socket', method: 'ws', handler: (ws) => { ws.send('hello') } }
+    ]
+}
+
+function debugProviderOpenapi(name) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '1.2.3'
+
+    let getItem = ( req, res ) => { res.json({ id: req.params.id }) }
+    getItem.openapi = { get: { summary: 'Get item' } }
+
+    this.endpoints = [
+        { route: '/items', method: 'get', handler: debugHandler, openapi: { get: { summary: 'List items' } } },
+        { route: '/items', method: 'post', handler: debugHandler, openapi: { post: { summary: 'Create item' } } },
+        { route: '/items/:id', method: 'get', handler: getItem },
+        { route: '/socket', method: 'ws', handler: debugHandler, openapi: { get: { summary: 'Socket' } } }
+    ]
+}
+
+function debugProviderValidation() {
+    this.prototype = debugProviderBasic
+
+    this.name = 'validation'
+
+    this.version = '1.0.0'
+
+    let echo = ( req, res ) => { res.json({ ok: true }) }
+
+    this.endpoints = [
+        {
+            route: '/items/:id', method: 'post', handler: echo,
+            openapi: {
+                parameters: [ { name: 'id', in: 'path', required: true, schema: { type: 'integer' } } ],
+                post: {
+                    parameters: [
+                        { name: 'limit', in: 'query', schema: { type: 'integer', maximum: 10 } },
+                        { name: 'x-client', in: 'header', required: true, schema: { type: 'string' } }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: { 'application/json': { schema: { type: 'object', required: ['title'], properties: { title: { type: 'string' } } } } }
+                    }
+                }
+            }
+        },
+        {
+            route: '/unchecked/:id', method: 'get', handler: echo, validate: false,
+            openapi: { parameters: [ { name: 'id', in: 'path', required: true, schema: { type: 'integer' } } ] }
+        }
+    ]
+}
+
+function debugProviderFailingEndpoints() {
+    this.prototype = debugProviderBasic
+
+    this.name = 'failing'
+
+    this.version = '1.0.0'
+
+    this.endpoints = [
+        { route: '/sync', method: 'get', handler: () => { throw new Error('Sync failure') } },
+        { route: '/async', method: 'get', handler: async () => { throw new Error('Async failure') } },
+        { route: '/status', method: 'get', handler: async () => { let e = new Error('No such item'); e.status = 404; throw e } }
+    ]
+}
+
+function debugProviderFlaky(name, failures) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '1.0.0'
+
+    this.calls = 0
+
+    this.setup = async () => {
+        this.calls++
+        if (this.calls <= failures) {
+            throw new Error(`Failure ${this.calls}`)
+        }
+    }
+
+    this.endpoints = [
+        { route: '/', method: 'get', handler: (req, res) => { res.json({ ok: true }) } }
+    ]
+}
+
+function debugProviderSecured() {
+    this.prototype = debugProviderBasic
+
+    this.name = 'secured'
+
+    this.version = '1.0.0'
+
+    let echo = ( req, res ) => { res.json({ user: req.user || null, trail: req.trail || [] }) }
+
+    let trail = (step) => (req, res, next) => { req.trail = (req.trail || []).concat([step]); next() }
+
+    // Provider-level defaults, applied to all endpoints:
+    this.security = { scopes: ['orders:read'] }
+    this.middleware = [trail('provider')]
+
+    this.endpoints = [
+        { route: '/orders', method: 'get', handler: echo, middleware: trail('endpoint'), openapi: { get: { summary: 'List orders', responses: {} } } },
+        { route: '/orders', method: 'post', handler: echo, security: { scopes: ['orders:write'] }, openapi: { post: { summary: 'Create order', responses: {} } } },
+        { route: '/public', method: 'get', handler: echo, security: null },
+        { route: '/failing', method: 'get', handler: echo, middleware: [async () => { let e = new Error('Rejected by middleware'); e.status = 422; throw e }] },
+        { route: '/invalid', method: 'get', handler: echo, middleware: ['not a function'] },
+        { route: '/stream', method: 'ws', handler: (ws, req) => { ws.send(JSON.stringify({ user: req.user, trail: req.trail })) } },
+        { route: '/broken', method: 'ws', security: null, handler: () => { throw new Error('Socket failure') } }
+    ]
+}
+
+function debugProviderSlowSetup(name, delay) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '1.0.0'
+
+    this.setups = 0
+
+    this.setup = async () => {
+        // Only setups after the first one are slow:
+        if (this.setups++ > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay))
+        }
+    }
+
+    this.endpoints = [
+        { route: '/', method: 'get', handler: (req, res) => { res.json({ setups: this.setups }) } }
+    ]
+}
+
+function debugProviderEcho() {
+    this.prototype = debugProviderBasic
+
+    this.name = 'echo'
+
+    this.version = '1.0.0'
+
+    this.endpoints = [
+        { route: '/socket', method: 'ws', handler: (ws) => { ws.on('message', message => ws.send(`${message}`)) } }
+    ]
+}
+
+function debugProviderHealth(name, health) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '1.0.0'
+
+    this.health = health
+
+    this.setup = () => {}
+}
+
+function debugProviderRegistry(name, setup, dependencies) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '1.0.0'
+
+    this.dependencies = dependencies
+
+    this.setup = setup
+}
+
+function debugProviderConfigurable(name, received) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '1.0.0'
+
+    this.configSchema = {
+        type: 'object',
+        properties: {
+            port: { type: 'integer', minimum: 1 },
+            secure: { type: 'boolean', default: false },
+            maxConnections: { type: 'number', default: 10 },
+            origins: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['port'],
+        additionalProperties: false
+    }
+
+    this.setup = (environment, providers, spec) => {
+        received.config = spec.config
+    }
+}
+
+function debugProviderCompatible(name, compatibility) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '1.0.0'
+
+    this.compatibility = compatibility
+
+    this.setup = () => {}
+}
+
+function debugProviderNamed(name) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '1.0.0'
+
+    this.setup = () => {}
+}
+
+function debugProviderLogging(name) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '2.1.0'
+
+    this.setup = (environment) => {
+        environment.log('Plain message')
+        environment.log.debug({ event: 'connected', attempts: 3 })
+        environment.log.child({ component: 'cache' }).warn('Cache miss')
+    }
+}
+
+function debugProviderCapable(name, requires) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '1.0.0'
+
+    this.requires = requires
+
+    this.setup = (environment) => {
+        this.environment = environment
+    }
+}
+
+function debugProviderRouted(name, routes) {
+    this.prototype = debugProviderBasic
+
+    this.name = name
+
+    this.version = '1.0.0'
+
+    this.endpoints = routes.map(([method, route]) => ({ method, route, handler: (req, res) => { res.json({ route }) } }))
+}
+
+function debugProviderCounter() {
+    this.prototype = debugProviderBasic
+
+    this.name = 'counter'
+
+    this.version = '1.0.0'
+
+    this.setup = async (environment) => {
+        environment.log('Counter ready.')
+        this.state = environment.state
+    }
+
+    this.endpoints = [
+        { route: '/count', method: 'post', handler: async (req, res) => {
+            let count = (await this.state.get('count') || 0) + req.body.by
+            await this.state.set('count', count)
+            res.json({ count })
+        } },
+        { route: '/echo', method: 'ws', handler: (ws) => { ws.on('message', message => ws.send(`${message}`)) } },
+        { route: '/private', method: 'ws', security: { scopes: ['admin'] }, handler: () => {} }
+    ]
+}
+
+/**
+ * Keys in 'overrides' replace the defaults, e.g. to declare other endpoints.
+ */
+function debugProviderLimited(overrides) {
+    this.prototype = debugProviderBasic
+
+    this.name = 'limited'
+
+    this.version = '1.0.0'
+
+    this.setup = () => {}
+
+    this.rateLimit = { limit: 2 }
+
+    let handler = (req, res) => { res.json({ ok: true }) }
+
+    this.endpoints = [
+        { route: '/default', method: 'get', handler },
+        { route: '/unlimited', method: 'get', rateLimit: false, handler },
+        { route: '/refill', method: 'get', rateLimit: { limit: 1, window: 50 }, handler },
+        { route: '/socket', method: 'ws', rateLimit: { limit: 1 }, handler: (ws) => { ws.send('"hello"') } }
+    ]
+
+    Object.assign(this, overrides)
+}
+
+/**
+ * Keys in 'overrides' replace the defaults, e.g. to declare other endpoints.
+ */
+function debugProviderLimited(overrides) {
+    this.prototype = debugProviderBasic
+
+    this.name = 'limited'
+
+    this.version = '1.0.0'
+
+    this.setup = () => {}
+
+    this.rateLimit = { limit: 2 }
+
+    let handler = (req, res) => { res.json({ ok: true }) }
+
+    this.endpoints = [
+        { route: '/default', method: 'get', handler },
+        { route: '/unlimited', method: 'get', rateLimit: false, handler },
+        { route: '/refill', method: 'get', rateLimit: { limit: 1, window: 50 }, handler },
+        { route: '/socket', method: 'ws', rateLimit: { limit: 1 }, handler: (ws) => { ws.send('"hello"') } }
+    ]
+
+    Object.assign(this, overrides)
+}
+
+/**
+ * Keys in 'overrides' replace the defaults, e.g. to declare a 'stateVersion'.
+ */
+function debugProviderVersioned(migrations, overrides) {
+    this.prototype = debugProviderBasic
+
+    this.name = 'versioned'
+
+    this.version = '1.0.0'
+
+    this.migrations = migrations
+
+    this.setup = async (environment) => {
+        this.seen = await environment.state.get('settings')
+    }
+
+    this.endpoints = [
+        { route: '/settings', method: 'get', handler: (req, res) => { res.json(this.seen) } }
+    ]
+
+    Object.assign(this, overrides)
+}
+
+/**
+ * Starts an HTTP server for the given router on an ephemeral port.
+ */
+async function debugServer(router) {
+    let app = express()
+    expressws(app)
+    app.use(router)
+    return new Promise(resolve => { let server = app.listen(0, '127.0.0.1', () => resolve(server)) })
+}
+
+/**
+ * Opens a WebSocket connection to a server started by debugServer and resolves to { message } once the
+ * first message is received, or to { code, reason } if the connection is closed first.
+ */
+function debugSocket(server, path, headers) {
+    return new Promise((resolve, reject) => {
+        let client = new WebSocket(`ws://127.0.0.1:${server.address().port}${path}`, { headers })
+        client.once('message', message => { resolve({ message: JSON.parse(message), client }) })
+        client.once('close', (code, reason) => resolve({ code, reason: `${reason}` }))
+        client.once('error', reject)
+    })
+}
+
+/**
+ * Sends a request to a server started by debugServer and resolves to { status, headers, body }.
+ */
+function debugRequest(server, method, path, body, headers) {
+    return new Promise((resolve, reject) => {
+        let data = (body === undefined) ? null : JSON.stringify(body)
+        let options = { host: '127.0.0.1', port: server.address().port, method, path, headers: Object.assign({}, headers) }
+        if (data !== null) {
+            options.headers['content-type'] = 'application/json'
+            options.headers['content-length'] = Buffer.byteLength(data)
+        }
+        let req = http.request(options, res => {
+            let chunks = []
+            res.on('data', chunk => chunks.push(chunk))
+            res.on('end', () => {
+                let text = Buffer.concat(chunks).toString()
+                let parsed = text
+                try { parsed = JSON.parse(text) } catch { /* Not JSON */ }
+                resolve({ status: res.statusCode, headers: res.headers, body: parsed })
+            })
+        })
+        req.on('error', reject)
+        req.end(data)
+    })
+}
+
 
 describe('morrigan.utils.providers', () => {
 
@@ -164,12 +613,21 @@ describe('morrigan.utils.providers', () => {
                             assert.equal(providers.debugBasic.environment.toString(), '[object Object]')
                         })
 
-                        it("Should add Providers.defaultLogger as 'log' property on the default environment object.", async() => {
+                        it("Should add a child logger of Providers.defaultLogger as 'log' property on the default environment object.", async() => {
                             let specs = [{ module: new debugProviderBasic() }]
-                            let providers = await Providers.setup(specs)
+                            let defaultLogger = Providers.defaultLogger
+                            let messages = []
+                            Providers.defaultLogger = (msg, level, fields) => { messages.push({ msg, level, fields }) }
+                            let providers = null
+                            try {
+                                providers = await Providers.setup(specs)
+                            } finally {
+                                Providers.defaultLogger = defaultLogger
+                            }
                             assert.ok(providers.debugBasic.environment.log)
                             assert.equal(typeof providers.debugBasic.environment.log, 'function')
-                            assert.equal(providers.debugBasic.environment.log, Providers.defaultLogger)
+                            providers.debugBasic.environment.log('Hello')
+                            assert.deepEqual(messages.pop(), { msg: 'Hello', level: 'info', fields: { provider: 'debugBasic', version: '1.0.0' } })
                         })
 
                         it("Should generate a new Expressjs Router as 'router' property on the default environment object.", async() => {
@@ -186,7 +644,8 @@ describe('morrigan.utils.providers', () => {
                             let specs = [{ module: new debugProviderBasic() }]
                             let providers = await Providers.setup(specs, env)
                             assert.notEqual(providers.debugBasic.environment, env)
-                            assert.equal(providers.debugBasic.environment.log, env.log)
+                            assert.notEqual(providers.debugBasic.environment.log, env.log, "'log' should be a child logger of the caller's logger")
+                            assert.equal(typeof providers.debugBasic.environment.log.child, 'function')
                         })
 
                         it("Should generate a new Expressjs Router for each provider", async () => {
@@ -333,22 +792,1742 @@ describe('morrigan.utils.providers', () => {
                 })
             })
 
-            describe("Errors", () => {
-                it("Should handle errors internally and attach any thrown errors in the 'error' property on the failing provider.", async () => {
+            describe("Dependencies", () => {
+
+                it("Should set up dependencies before the providers that depend on them.", async () => {
+                    let specs = [
+                        { module: new debugProviderDependent('dependent', ['middle']) },
+                        { module: new debugProviderDependent('middle', ['base']) },
+                        { module: new debugProviderDependent('base') }
+                    ]
+                    let providers = await Providers.setup(specs, env)
+                    assert.ok(providers.dependent.dependenciesReady)
+                    assert.ok(providers.middle.dependenciesReady)
+                    assert.ok(providers.base.setupFinished)
+                })
+
+                it("Should accept dependencies declared with version ranges.", async () => {
+                    let specs = [
+                        { module: new debugProviderDependent('dependent', [{ name: 'base', version: '^1.0.0' }]) },
+                        { module: new debugProviderDependent('base') }
+                    ]
+                    let providers = await Providers.setup(specs, env)
+                    assert.ok(providers.dependent)
+                    assert.ok(providers.dependent.dependenciesReady)
+                })
+
+                it("Should skip providers whose dependencies do not satisfy the declared version range.", async () => {
+                    let dependent = new debugProviderDependent('dependent', { base: '^2.0.0' })
+                    let specs = [
+                        { module: dependent },
+                        { module: new debugProviderDependent('base') }
+                    ]
+                    let providers = await Providers.setup(specs, env)
+                    assert.equal(providers.dependent, undefined)
+                    assert.ok(providers.base)
+                    assert.match(dependent.error.message, /\^2\.0\.0/)
+                })
+
+                it("Should skip providers with missing dependencies.", async () => {
+                    let dependent = new debugProviderDependent('dependent', ['missing'])
+                    let providers = await Providers.setup([{ module: dependent }], env)
+                    assert.equal(providers.dependent, undefined)
+                    assert.equal(dependent.setupFinished, false)
+                    assert.match(dependent.error.message, /Missing dependency 'missing'/)
+                })
+
+                it("Should skip providers whose dependencies failed during setup, as well as their dependents.", async () => {
                     let specs = [
                         { name: 'errors', module: new debugProviderErrors() },
-                        { name: 'errorsSync', module: new debugProviderErrorsSync() },
-                        { name: 'endpoints', module: new debugProviderEndpoints() }
+                        { module: new debugProviderDependent('middle', ['errors']) },
+                        { module: new debugProviderDependent('dependent', ['middle']) }
                     ]
+                    let providers = await Providers.setup(specs, env)
+                    assert.ok(providers.errors)
+                    assert.equal(providers.middle, undefined)
+                    assert.equal(providers.dependent, undefined)
+                })
 
+                it("Should detect and skip providers that are part of a dependency cycle.", async () => {
+                    let a = new debugProviderDependent('a', ['b'])
+                    let specs = [
+                        { module: a },
+                        { module: new debugProviderDependent('b', ['a']) },
+                        { module: new debugProviderDependent('c') }
+                    ]
                     let providers = await Providers.setup(specs, env)
+                    assert.equal(providers.a, undefined)
+                    assert.equal(providers.b, undefined)
+                    assert.ok(providers.c)
+                    assert.match(a.error.message, /Circular dependency detected: a -> b -> a/)
+                })
+            })
 
-                    assert.ok(providers.errors.error)
-                    assert.ok(providers.errorsSync.error)
-                    assert.deepEqual(providers.endpoints.error, undefined)
+            describe("Request validation", () => {
+
+                let server = null
+                let environment = null
+
+                before(async () => {
+                    environment = { log: env.log, router: express.Router(), validateRequests: true }
+                    await Providers.setup([{ module: new debugProviderValidation() }], environment)
+                    server = await debugServer(environment.router)
+                })
+
+                after(async () => {
+                    await new Promise(resolve => server.close(resolve))
+                })
+
+                it("Should pass valid requests on to the handler.", async () => {
+                    let response = await debugRequest(server, 'POST', '/validation/items/5?limit=3', { title: 'test' }, { 'x-client': 'test' })
+                    assert.equal(response.status, 200)
+                    assert.deepEqual(response.body, { ok: true })
+                })
+
+                it("Should respond with 400 and list every violation for invalid requests.", async () => {
+                    let response = await debugRequest(server, 'POST', '/validation/items/abc?limit=20', { title: 5 })
+                    assert.equal(response.status, 400)
+                    let violations = response.body.violations.map(v => `${v.in}:${v.name || v.path}`).sort()
+                    assert.deepEqual(violations, ['body:/title', 'header:x-client', 'path:id', 'query:limit'])
+                })
+
+                it("Should report missing required request bodies.", async () => {
+                    let response = await debugRequest(server, 'POST', '/validation/items/5', undefined, { 'x-client': 'test' })
+                    assert.equal(response.status, 400)
+                    assert.deepEqual(response.body.violations, [{ in: 'body', message: 'is required' }])
+                })
+
+                it("Should not validate endpoints that opt out.", async () => {
+                    let response = await debugRequest(server, 'GET', '/validation/unchecked/abc')
+                    assert.equal(response.status, 200)
                 })
             })
-        })
 
+            describe("Endpoint errors", () => {
+
+                let server = null
+                let logs = []
+
+                before(async () => {
+                    let environment = { log: (msg, level) => logs.push({ msg, level }), router: express.Router() }
+                    await Providers.setup([{ module: new debugProviderFailingEndpoints() }], environment)
+                    server = await debugServer(environment.router)
+                })
+
+                after(async () => {
+                    await new Promise(resolve => server.close(resolve))
+                })
+
+                it("Should respond with 500 and a trace ID when a handler throws.", async () => {
+                    let response = await debugRequest(server, 'GET', '/failing/sync')
+                    assert.equal(response.status, 500)
+                    assert.equal(response.body.error, 'Internal Server Error')
+                    assert.ok(response.body.traceId)
+                    assert.ok(logs.find(l => l.level === 'error' && l.msg.includes(response.body.traceId) && l.msg.includes('GET /failing/sync')))
+                })
+
+                it("Should handle rejected promises from async handlers.", async () => {
+                    let response = await debugRequest(server, 'GET', '/failing/async')
+                    assert.equal(response.status, 500)
+                    assert.equal(response.body.message, 'An unexpected error occurred.')
+                })
+
+                it("Should map errors with a 'status' to the corresponding HTTP status.", async () => {
+                    let response = await debugRequest(server, 'GET', '/failing/status')
+                    assert.equal(response.status, 404)
+                    assert.equal(response.body.message, 'No such item')
+                })
+
+                it("Should use 'environment.errorResponder' if declared.", async () => {
+                    let environment = {
+                        log: env.log,
+                        router: express.Router(),
+                        errorResponder: (error, req, res, details) => { res.status(details.status).json({ custom: details.provider, traceId: details.traceId }) }
+                    }
+                    await Providers.setup([{ module: new debugProviderFailingEndpoints() }], environment)
+                    let customServer = await debugServer(environment.router)
+                    try {
+                        let response = await debugRequest(customServer, 'GET', '/failing/status')
+                        assert.equal(response.status, 404)
+                        assert.equal(response.body.custom, 'failing')
+                        assert.ok(response.body.traceId)
+                    } finally {
+                        await new Promise(resolve => customServer.close(resolve))
+                    }
+                })
+            })
+
+            describe("Security and middleware", () => {
+
+                let server = null
+                let environment = null
+
+                before(async () => {
+                    environment = {
+                        log: env.log,
+                        router: express.Router(),
+                        security: (req, res, next) => {
+                            let token = req.get('authorization')
+                            if (!token) {
+                                return res.status(401).json({ error: 'Unauthorized' })
+                            }
+                            req.user = { name: 'tester', scopes: token.split(' ') }
+                            next()
+                        },
+                        authorize: (req, scopes) => scopes.every(scope => req.user.scopes.includes(scope))
+                    }
+                    await Providers.setup([{ module: new debugProviderSecured() }], environment)
+                    server = await debugServer(environment.router)
+                })
+
+                after(async () => {
+                    await new Promise(resolve => server.close(resolve))
+                })
+
+                it("Should run the security middleware before checking the scopes declared by the provider.", async () => {
+                    let unauthenticated = await debugRequest(server, 'GET', '/secured/orders')
+                    assert.equal(unauthenticated.status, 401)
+
+                    let response = await debugRequest(server, 'GET', '/secured/orders', undefined, { authorization: 'orders:read' })
+                    assert.equal(response.status, 200)
+                    assert.equal(response.body.user.name, 'tester')
+                })
+
+                it("Should respond with 403 if the request is not granted the scopes declared by the endpoint.", async () => {
+                    let response = await debugRequest(server, 'POST', '/secured/orders', {}, { authorization: 'orders:read' })
+                    assert.equal(response.status, 403)
+                    assert.deepEqual(response.body.scopes, ['orders:write'])
+
+                    let granted = await debugRequest(server, 'POST', '/secured/orders', {}, { authorization: 'orders:read orders:write' })
+                    assert.equal(granted.status, 200)
+                })
+
+                it("Should strip all security from endpoints that declare 'security' as null.", async () => {
+                    let response = await debugRequest(server, 'GET', '/secured/public')
+                    assert.equal(response.status, 200)
+                    assert.equal(response.body.user, null)
+                })
+
+                it("Should run provider middleware before endpoint middleware, after security and before the handler.", async () => {
+                    let response = await debugRequest(server, 'GET', '/secured/orders', undefined, { authorization: 'orders:read' })
+                    assert.deepEqual(response.body.trail, ['provider', 'endpoint'])
+                })
+
+                it("Should handle errors thrown by middleware like endpoint errors.", async () => {
+                    let response = await debugRequest(server, 'GET', '/secured/failing', undefined, { authorization: 'orders:read' })
+                    assert.equal(response.status, 422)
+                    assert.equal(response.body.message, 'Rejected by middleware')
+                })
+
+                it("Should reject endpoints with invalid middleware declarations.", async () => {
+                    let rejected = Providers.lastReport.providers[0].endpoints.rejected
+                    assert.equal(rejected.length, 1)
+                    assert.equal(rejected[0].route, '/invalid')
+                    assert.match(rejected[0].reason, /'middleware' should be/)
+                })
+
+                it("Should deny all requests to endpoints that require scopes if the environment has no 'authorize' hook.", async () => {
+                    let unauthorized = { log: env.log, router: express.Router() }
+                    await Providers.setup([{ module: new debugProviderSecured() }], unauthorized)
+                    let otherServer = await debugServer(unauthorized.router)
+                    try {
+                        let response = await debugRequest(otherServer, 'GET', '/secured/orders')
+                        assert.equal(response.status, 403)
+                    } finally {
+                        await new Promise(resolve => otherServer.close(resolve))
+                    }
+                })
+
+                it("Should declare required scopes in the endpoint's openapi 'security' section.", async () => {
+                    let providers = await Providers.setup([{ module: new debugProviderSecured() }], { log: env.log, router: express.Router(), security: environment.security })
+                    let document = Providers.openapi(providers, { securitySchemes: { oauth: { type: 'oauth2', flows: {} } } })
+                    assert.deepEqual(document.components.securitySchemes, { oauth: { type: 'oauth2', flows: {} } })
+                    assert.deepEqual(document.paths['/secured/orders'].get.security, [{ oauth: ['orders:read'] }])
+                    assert.deepEqual(document.paths['/secured/orders'].post.security, [{ oauth: ['orders:write'] }])
+                })
+            })
+
+            describe("WebSocket endpoints", () => {
+
+                let server = null
+                let providers = null
+                let logs = []
+
+                before(async () => {
+                    let environment = {
+                        log: (msg, level) => logs.push({ msg, level }),
+                        router: express.Router(),
+                        security: (req, res, next) => {
+                            let token = req.get('authorization')
+                            if (!token) {
+                                return res.status(401).json({ error: 'Unauthorized', message: 'Missing token' })
+                            }
+                            req.user = { name: 'tester', scopes: token.split(' ') }
+                            next()
+                        },
+                        authorize: (req, scopes) => scopes.every(scope => req.user.scopes.includes(scope))
+                    }
+                    providers = await Providers.setup([{ module: new debugProviderSecured() }], environment)
+                    server = await debugServer(environment.router)
+                })
+
+                after(async () => {
+                    Providers.closeConnections(providers)
+                    await new Promise(resolve => server.close(resolve))
+                })
+
+                it("Should close connections rejected by the security middleware with 4000 + status.", async () => {
+                    let result = await debugSocket(server, '/secured/stream')
+                    assert.equal(result.code, 4401)
+                    assert.equal(result.reason, 'Missing token')
+                })
+
+                it("Should check the scopes required by the endpoint.", async () => {
+                    let result = await debugSocket(server, '/secured/stream', { authorization: 'orders:write' })
+                    assert.equal(result.code, 4403)
+                })
+
+                it("Should run security and middleware before the handler.", async () => {
+                    let result = await debugSocket(server, '/secured/stream', { authorization: 'orders:read' })
+                    assert.equal(result.message.user.name, 'tester')
+                    assert.deepEqual(result.message.trail, ['provider'])
+                    result.client.close()
+                })
+
+                it("Should log handler errors with a trace ID and close the connection.", async () => {
+                    let result = await debugSocket(server, '/secured/broken')
+                    assert.equal(result.code, 4500)
+                    let traceId = result.reason.match(/trace ID: ([0-9a-f]+)/)[1]
+                    assert.ok(logs.find(l => l.level === 'error' && l.msg.includes(traceId) && l.msg.includes('WS /secured/broken')))
+                })
+
+                it("Should track open connections per provider and close them on request.", async () => {
+                    let result = await debugSocket(server, '/secured/stream', { authorization: 'orders:read' })
+                    let connections = Providers.connections(providers, 'secured')
+                    assert.equal(connections.length, 1)
+                    assert.equal(connections[0].route, '/stream')
+                    assert.ok(connections[0].openedAt)
+
+                    let closed = new Promise(resolve => result.client.once('close', code => resolve(code)))
+                    assert.equal(Providers.closeConnections(providers, 'secured', 1012, 'Restarting'), 1)
+                    assert.equal(await closed, 1012)
+                    await new Promise(resolve => setImmediate(resolve))
+                    assert.equal(Providers.connections(providers).length, 0)
+                })
+
+                it("Should deliver messages sent while asynchronous security middleware runs to the handler.", async () => {
+                    let security = async (req, res, next) => {
+                        await new Promise(resolve => setTimeout(resolve, 50))
+                        next()
+                    }
+                    let harness = await Providers.testing([{ module: new debugProviderEcho() }], { environment: { security } })
+                    try {
+                        let connection = await harness.socket('/echo/socket')
+                        connection.send('first')
+                        connection.send('second')
+                        assert.equal(await connection.next(), 'first')
+                        assert.equal(await connection.next(), 'second')
+                        connection.send('third')
+                        assert.equal(await connection.next(), 'third')
+                    } finally {
+                        await harness.close()
+                    }
+                })
+            })
+
+            describe("Timeouts, retries and status", () => {
+
+                it("Should stop waiting for '.setup' once the timeout expires and mark the provider as failed.", async () => {
+                    let provider = new debugProviderBasic()
+                    provider.setup = () => new Promise(() => { /* Never resolves */ })
+                    let providers = await Providers.setup([{ module: provider, setupTimeout: 10 }], env)
+                    assert.ok(providers.debugBasic.error)
+                    assert.equal(Providers.status(providers, 'debugBasic').status, 'failed')
+                    assert.match(Providers.status(providers, 'debugBasic').reason, /did not finish within 10ms/)
+                })
+
+                it("Should use 'environment.setupTimeout' if the specification does not declare a timeout.", async () => {
+                    let provider = new debugProviderBasic()
+                    provider.setup = () => new Promise(() => { /* Never resolves */ })
+                    let environment = { log: env.log, router: express.Router(), setupTimeout: 10 }
+                    let providers = await Providers.setup([{ module: provider }], environment)
+                    assert.equal(Providers.status(providers, 'debugBasic').status, 'failed')
+                })
+
+                it("Should retry failed setups.", async () => {
+                    let specs = [
+                        { module: new debugProviderFlaky('flaky', 2), setupRetries: 2, setupRetryDelay: 1 },
+                        { module: new debugProviderFlaky('broken', 5), setupRetries: 1, setupRetryDelay: 1 }
+                    ]
+                    let providers = await Providers.setup(specs, env)
+                    assert.deepEqual(Providers.status(providers, 'flaky'), { status: 'ready', reason: null, attempts: 3 })
+                    assert.deepEqual(Providers.status(providers, 'broken'), { status: 'failed', reason: 'Failure 2', attempts: 2 })
+                    assert.equal(Providers.lastReport.providers[0].attempts, 3)
+                })
+
+                it("Should not retry setups that timed out.", async () => {
+                    let provider = new debugProviderBasic()
+                    let calls = 0
+                    provider.setup = () => { calls++; return new Promise(() => { /* Never resolves */ }) }
+                    let providers = await Providers.setup([{ module: provider, setupTimeout: 10, setupRetries: 2, setupRetryDelay: 1 }], env)
+                    assert.equal(calls, 1)
+                    assert.deepEqual(Providers.status(providers, 'debugBasic'), { status: 'failed', reason: "'.setup' did not finish within 10ms", attempts: 1 })
+                })
+
+                it("Should let providers report a degraded status.", async () => {
+                    let provider = new debugProviderBasic()
+                    provider.setup = (environment) => { environment.setStatus('degraded', 'Cache unavailable') }
+                    let providers = await Providers.setup([{ module: provider }], env)
+                    assert.deepEqual(Providers.status(providers), { debugBasic: { status: 'degraded', reason: 'Cache unavailable', attempts: 1 } })
+                })
+
+                it("Should respond with 503 on endpoints of providers that are not ready.", async () => {
+                    let environment = { log: env.log, router: express.Router() }
+                    await Providers.setup([{ module: new debugProviderFlaky('broken', 1) }, { module: new debugProviderFlaky('working', 0) }], environment)
+                    let server = await debugServer(environment.router)
+                    try {
+                        let broken = await debugRequest(server, 'GET', '/broken/')
+                        assert.equal(broken.status, 503)
+                        assert.equal(broken.body.provider, 'broken')
+                        assert.equal(broken.body.status, 'failed')
+                        assert.equal(broken.body.reason, 'Failure 1')
+
+                        let working = await debugRequest(server, 'GET', '/working/')
+                        assert.equal(working.status, 200)
+                    } finally {
+                        await new Promise(resolve => server.close(resolve))
+                    }
+                })
+
+                it("Should close connections to 'ws' endpoints of providers that are not ready with 1013, even if the name is long.", async () => {
+                    let environment = { log: env.log, router: express.Router() }
+                    let provider = new debugProviderEcho()
+                    provider.name = 'a'.repeat(120)
+                    provider.setup = () => { throw new Error('Not today') }
+                    await Providers.setup([{ module: provider }], environment)
+                    let server = await debugServer(environment.router)
+                    try {
+                        let result = await debugSocket(server, `/${provider.name}/socket`)
+                        assert.equal(result.code, 1013)
+                        assert.equal(Buffer.byteLength(result.reason), 123)
+                        assert.match(result.reason, /^Provider 'a+$/)
+                    } finally {
+                        await new Promise(resolve => server.close(resolve))
+                    }
+                })
+            })
+
+            describe("Report", () => {
+
+                it("Should report the outcome of each provider specification in Providers.lastReport.", async () => {
+                    let specs = [
+                        { module: new debugProviderEndpoints() },
+                        { name: 'errors', module: new debugProviderErrors() },
+                        { module: new debugProviderDependent('dependent', ['missing']) },
+                        'nonexistent-provider-module',
+                        { name: 'invalid' }
+                    ]
+                    await Providers.setup(specs, env)
+                    let report = Providers.lastReport
+
+                    assert.ok(report.startedAt)
+                    assert.equal(typeof report.duration, 'number')
+                    assert.deepEqual(report.providers.map(p => [p.index, p.name, p.status]), [
+                        [0, 'debugEndpoints', 'loaded'],
+                        [1, 'errors', 'failed'],
+                        [2, 'dependent', 'skipped'],
+                        [3, null, 'failed'],
+                        [4, null, 'skipped']
+                    ])
+                    assert.equal(report.providers[0].version, '1.0.0')
+                    assert.equal(report.providers[0].reason, null)
+                    assert.equal(report.providers[0].endpoints.registered.length, http.METHODS.length + 1)
+                    assert.match(report.providers[1].reason, /This is an unhandled exception/)
+                    assert.match(report.providers[2].reason, /Missing dependency 'missing'/)
+                    assert.equal(report.providers[3].moduleName, 'nonexistent-provider-module')
+                })
+
+                it("Should keep the report of each setup with its providers object in Providers.report.", async () => {
+                    let [ok, broken] = await Promise.all([
+                        Providers.setup([{ module: new debugProviderDependent('ok') }], env),
+                        Providers.setup([{ name: 'broken', module: new debugProviderErrors() }], env)
+                    ])
+
+                    assert.deepEqual(Providers.report(ok).providers.map(p => [p.name, p.status]), [['ok', 'loaded']])
+                    assert.deepEqual(Providers.report(broken).providers.map(p => [p.name, p.status]), [['broken', 'failed']])
+                    assert.equal(Providers.report({}), null)
+                })
+
+                it("Should report rejected endpoints.", async () => {
+                    let provider = new debugProviderBasic()
+                    provider.endpoints = [
+                        { route: '/valid', method: 'get', handler: debugHandler },
+                        { route: '/invalid', method: 'fetch', handler: debugHandler }
+                    ]
+                    await Providers.setup([{ module: provider }], env)
+                    let endpoints = Providers.lastReport.providers[0].endpoints
+                    assert.deepEqual(endpoints.registered, [{ method: 'get', route: '/valid' }])
+                    assert.equal(endpoints.rejected.length, 1)
+                    assert.equal(endpoints.rejected[0].method, 'fetch')
+                    assert.match(endpoints.rejected[0].reason, /Invalid endpoint method/)
+                })
+
+                it("Should report specifications that are replaced by later specifications with the same name.", async () => {
+                    await Providers.setup([{ module: new debugProviderBasic() }, { module: new debugProviderBasic() }], env)
+                    assert.deepEqual(Providers.lastReport.providers.map(p => p.status), ['skipped', 'loaded'])
+                })
+            })
+
+            describe("Names", () => {
+
+                it("Should validate the effective name given by the specification, rejecting names that are not a single route segment.", async () => {
+                    let providers = await Providers.setup([
+                        { name: 'foo/bar', module: new debugProviderNamed('valid') },
+                        { module: new debugProviderNamed('a b') },
+                        { module: new debugProviderNamed('..') },
+                        { name: 'renamed', module: new debugProviderNamed('in valid') }
+                    ], env)
+                    assert.deepEqual(Object.keys(providers), ['renamed'])
+                    assert.deepEqual(Providers.lastReport.providers.map(p => p.status), ['skipped', 'skipped', 'skipped', 'loaded'])
+                    assert.match(Providers.lastReport.providers[0].reason, /Invalid provider name 'foo\/bar'/)
+                })
+
+                it("Should refuse names reserved by the environment.", async () => {
+                    let providers = await Providers.setup([{ module: new debugProviderNamed('Health') }, { module: new debugProviderNamed('admin') }, { module: new debugProviderNamed('orders') }], { log: env.log, reservedNames: ['health', 'admin'] })
+                    assert.deepEqual(Object.keys(providers), ['orders'])
+                    assert.match(Providers.lastReport.providers[0].reason, /reserved/)
+                })
+
+                it("Should not reserve any names by default.", async () => {
+                    let providers = await Providers.setup([{ module: new debugProviderNamed('health') }, { module: new debugProviderNamed('metrics') }, { module: new debugProviderNamed('openapi') }], { log: env.log })
+                    assert.deepEqual(Object.keys(providers), ['health', 'metrics', 'openapi'])
+                })
+
+                it("Should keep the last provider by default, or the first one with the 'first-wins' policy.", async () => {
+                    let first = new debugProviderNamed('same')
+                    let last = new debugProviderNamed('same')
+
+                    let providers = await Providers.setup([{ module: first }, { module: last }], env)
+                    assert.equal(providers.same, last)
+                    assert.deepEqual(Providers.lastReport.collisions, [{ name: 'same', policy: 'last-wins', indexes: [0, 1], renamedTo: null }])
+
+                    providers = await Providers.setup([{ module: first }, { module: last }], { log: env.log, collisionPolicy: 'first-wins' })
+                    assert.equal(providers.same, first)
+                    assert.deepEqual(Providers.lastReport.providers.map(p => p.status), ['loaded', 'skipped'])
+                })
+
+                it("Should register colliding providers with a suffix with the 'suffix' policy.", async () => {
+                    let providers = await Providers.setup([{ module: new debugProviderNamed('same') }, { module: new debugProviderNamed('same') }, { module: new debugProviderNamed('same') }], { log: env.log, collisionPolicy: 'suffix' })
+                    assert.deepEqual(Object.keys(providers).sort(), ['same', 'same-2', 'same-3'])
+                    assert.deepEqual(Providers.lastReport.collisions.map(c => c.renamedTo), ['same-2', 'same-3'])
+                    assert.equal(Providers.lastReport.providers[2].name, 'same-3')
+                })
+
+                it("Should drop every colliding provider with the 'error' policy.", async () => {
+                    let providers = await Providers.setup([{ module: new debugProviderNamed('same') }, { module: new debugProviderNamed('other') }, { module: new debugProviderNamed('same') }], { log: env.log, collisionPolicy: 'error' })
+                    assert.deepEqual(Object.keys(providers), ['other'])
+                    assert.deepEqual(Providers.lastReport.providers.map(p => p.status), ['skipped', 'loaded', 'skipped'])
+                    assert.equal(Providers.lastReport.collisions[0].policy, 'error')
+                })
+            })
+
+            describe("Routes", () => {
+
+                it("Should reject routes that are not a sequence of non-empty segments.", async () => {
+                    await Providers.setup([{ module: new debugProviderRouted('strict', [['get', '/'], ['get', '/items/:id'], ['get', 'items'], ['get', '/a//b'], ['get', '/a b'], ['get', '/../x'], ['get', '/x/']]) }], { log: env.log })
+                    let endpoints = Providers.lastReport.providers[0].endpoints
+                    assert.deepEqual(endpoints.registered.map(e => e.route), ['/', '/items/:id', '/x/'])
+                    assert.deepEqual(endpoints.rejected.map(e => e.route), ['items', '/a//b', '/a b', '/../x'])
+                })
+
+                it("Should warn about duplicate and shadowed routes by default and register them anyway.", async () => {
+                    await Providers.setup([{ module: new debugProviderRouted('routes', [['get', '/:id'], ['get', '/list'], ['get', '/List'], ['post', '/list'], ['ws', '/list'], ['get', '/list/:id']]) }], { log: env.log })
+                    let entry = Providers.lastReport.providers[0]
+                    assert.equal(entry.endpoints.registered.length, 6)
+                    assert.deepEqual(entry.endpoints.conflicts.map(c => [c.type, c.route, c.conflictsWith]), [['shadowed', '/list', '/:id'], ['shadowed', '/List', '/:id']])
+                    assert.equal(entry.warnings.length, 2)
+                    assert.match(entry.warnings[0], /GET \/list is shadowed by GET \/:id/)
+                })
+
+                it("Should reject conflicting endpoints with the 'error' policy.", async () => {
+                    let router = express.Router()
+                    await Providers.setup([{ module: new debugProviderRouted('routes', [['get', '/list'], ['get', '/:id'], ['get', '/:key'], ['get', '/list/']]) }], { log: env.log, router, routeConflictPolicy: 'error' })
+                    let endpoints = Providers.lastReport.providers[0].endpoints
+                    assert.deepEqual(endpoints.registered.map(e => e.route), ['/list', '/:id'])
+                    assert.deepEqual(endpoints.rejected.map(e => e.reason), [
+                        'GET /:key duplicates GET /:id, which is declared before it',
+                        'GET /list/ duplicates GET /list, which is declared before it'
+                    ])
+
+                    let server = await debugServer(router)
+                    try {
+                        assert.deepEqual((await debugRequest(server, 'GET', '/routes/list')).body, { route: '/list' })
+                        assert.deepEqual((await debugRequest(server, 'GET', '/routes/1')).body, { route: '/:id' })
+                    } finally {
+                        server.close()
+                    }
+                })
+
+                it("Should detect routes and middleware on the environment's router that conflict with a provider's mount path.", async () => {
+                    let router = express.Router()
+                    router.use(express.json())
+                    router.get('/orders/export', () => {})
+                    router.use('/admin', (req, res, next) => next())
+
+                    let providers = await Providers.setup([{ module: new debugProviderRouted('orders', []) }, { module: new debugProviderRouted('admin', []) }, { module: new debugProviderRouted('items', []) }], { log: env.log, router })
+                    assert.deepEqual(Object.keys(providers).sort(), ['admin', 'items', 'orders'])
+                    assert.match(Providers.lastReport.providers[0].warnings[0], /'\/orders' conflicts with route GET \/orders\/export/)
+                    assert.equal(Providers.lastReport.providers[2].warnings.length, 0)
+
+                    router = express.Router()
+                    router.use('/admin', (req, res, next) => next())
+                    providers = await Providers.setup([{ module: new debugProviderRouted('admin', []) }, { module: new debugProviderRouted('items', []) }], { log: env.log, router, routeConflictPolicy: 'error' })
+                    assert.deepEqual(Object.keys(providers), ['items'])
+                    assert.equal(Providers.lastReport.providers[0].status, 'skipped')
+                    assert.match(Providers.lastReport.providers[0].reason, /conflicts with middleware/)
+
+                    await Providers.add(providers, { module: new debugProviderRouted('admin', []) }, { log: env.log, router, routeConflictPolicy: 'error' })
+                    assert.equal(providers.admin, undefined)
+                })
+            })
+
+            describe("Errors", () => {
+                it("Should handle errors internally and attach any thrown errors in the 'error' property on the failing provider.", async () => {
+                    let specs = [
+                        { name: 'errors', module: new debugProviderErrors() },
+                        { name: 'errorsSync', module: new debugProviderErrorsSync() },
+                        { name: 'endpoints', module: new debugProviderEndpoints() }
+                    ]
+
+                    let providers = await Providers.setup(specs, env)
+
+                    assert.ok(providers.errors.error)
+                    assert.ok(providers.errorsSync.error)
+                    assert.deepEqual(providers.endpoints.error, undefined)
+                })
+            })
+        })
+
+    })
+
+    describe('shutdown', () => {
+
+        it("Should call 'teardown' on each provider in reverse setup order, with the environment passed to 'setup'.", async () => {
+            let teardownLog = []
+            let specs = [
+                { module: new debugProviderTeardown('dependent', ['base'], teardownLog) },
+                { module: new debugProviderTeardown('base', [], teardownLog) }
+            ]
+            let providers = await Providers.setup(specs, env)
+            let base = providers.base
+            await Providers.shutdown(providers, env)
+            assert.deepEqual(teardownLog, ['dependent', 'base'])
+            assert.equal(base.teardownEnvironment, base.environment)
+            assert.equal(Object.keys(providers).length, 0)
+        })
+
+        it("Should unmount provider routers from 'environment.router'.", async () => {
+            let environment = { log: env.log, router: express.Router() }
+            let providers = await Providers.setup([{ module: new debugProviderTeardown('teardown', [], []) }], environment)
+            let router = providers.teardown.environment.router
+            assert.ok(environment.router.stack.find(layer => layer.handle === router))
+            await Providers.shutdown(providers)
+            assert.equal(environment.router.stack.find(layer => layer.handle === router), undefined)
+        })
+
+        it("Should stop waiting for 'teardown' once the timeout expires.", async () => {
+            let provider = new debugProviderBasic()
+            provider.teardown = () => new Promise(() => { /* Never resolves */ })
+            let environment = { log: env.log, router: express.Router(), teardownTimeout: 10 }
+            let providers = await Providers.setup([{ module: provider }], environment)
+            await Providers.shutdown(providers, environment)
+            assert.equal(providers.debugBasic, undefined)
+        })
+
+        it("Should close WebSocket connections made to the provider's 'ws' endpoints.", async () => {
+            let wsApp = express()
+            expressws(wsApp)
+            let environment = { log: env.log, router: express.Router() }
+            wsApp.use(environment.router)
+            let server = await new Promise(resolve => { let s = wsApp.listen(0, '127.0.0.1', () => resolve(s)) })
+
+            try {
+                let providers = await Providers.setup([{ module: new debugProviderTeardown('sockets', [], []) }], environment)
+                let client = new WebSocket(`ws://127.0.0.1:${server.address().port}/sockets/socket`)
+                await new Promise((resolve, reject) => { client.once('message', resolve); client.once('error', reject) })
+
+                let closed = new Promise(resolve => client.once('close', code => resolve(code)))
+                await Providers.shutdown(providers)
+                assert.equal(await closed, 1001)
+            } finally {
+                await new Promise(resolve => server.close(resolve))
+            }
+        })
+    })
+
+    describe('reload, add and remove', () => {
+
+        it("Should replace a provider with a new module, reusing its StateStore and swapping its router in place.", async () => {
+            let environment = { log: env.log, router: express.Router(), state: env.state }
+            let providers = await Providers.setup([{ name: 'reloadable', module: new debugProviderTeardown('reloadable', [], []) }], environment)
+            let previous = providers.reloadable
+            let position = environment.router.stack.findIndex(layer => layer.handle === previous.environment.router)
+
+            let replacement = new debugProviderTeardown('reloadable', [], [])
+            await Providers.reload(providers, 'reloadable', { module: replacement })
+
+            assert.equal(providers.reloadable, replacement)
+            assert.ok(previous.teardownEnvironment)
+            assert.equal(replacement.environment.state, previous.environment.state)
+            assert.equal(environment.router.stack[position].handle, replacement.environment.router)
+            assert.equal(environment.router.stack.filter(layer => layer.handle === previous.environment.router).length, 0)
+        })
+
+        it("Should rerun setup on the current module if no provider specification is given.", async () => {
+            let providers = await Providers.setup([{ module: new debugProviderTeardown('reloadable', [], []) }], env)
+            let router = providers.reloadable.environment.router
+            await Providers.reload(providers, 'reloadable')
+            assert.ok(providers.reloadable.teardownEnvironment)
+            assert.notEqual(providers.reloadable.environment.router, router)
+        })
+
+        it("Should clear the error of a provider whose setup succeeds when it is reloaded.", async () => {
+            let environment = { log: env.log, router: express.Router() }
+            let providers = await Providers.setup([{ module: new debugProviderFlaky('flaky', 1) }], environment)
+            assert.equal(Providers.status(providers, 'flaky').status, 'failed')
+
+            await Providers.reload(providers, 'flaky')
+            assert.equal(providers.flaky.error, undefined)
+            assert.equal(Providers.status(providers, 'flaky').status, 'ready')
+            assert.equal((await Providers.health(providers)).providers.flaky.status, 'ready')
+
+            await Providers.add(providers, { module: new debugProviderDependent('dependent', ['flaky']) })
+            assert.ok(providers.dependent)
+        })
+
+        it("Should answer requests with 503 while the provider is being reloaded.", async () => {
+            let environment = { log: env.log, router: express.Router() }
+            let providers = await Providers.setup([{ module: new debugProviderSlowSetup('slow', 100) }], environment)
+            let server = await debugServer(environment.router)
+            try {
+                assert.equal((await debugRequest(server, 'GET', '/slow')).status, 200)
+
+                let reloading = Providers.reload(providers, 'slow')
+                await new Promise(resolve => setTimeout(resolve, 20))
+                let response = await debugRequest(server, 'GET', '/slow')
+                assert.equal(response.status, 503)
+                assert.equal(response.body.status, 'reloading')
+                assert.equal(Providers.status(providers, 'slow').status, 'reloading')
+
+                await reloading
+                assert.deepEqual((await debugRequest(server, 'GET', '/slow')).body, { setups: 2 })
+            } finally {
+                await new Promise(resolve => server.close(resolve))
+            }
+        })
+
+        it("Should keep the current provider if the replacement's dependencies are not met.", async () => {
+            let providers = await Providers.setup([{ module: new debugProviderTeardown('reloadable', [], []) }], env)
+            let previous = providers.reloadable
+            await Providers.reload(providers, 'reloadable', { module: new debugProviderTeardown('reloadable', ['missing'], []) })
+            assert.equal(providers.reloadable, previous)
+            assert.equal(previous.teardownEnvironment, undefined)
+        })
+
+        it("Should add a provider to providers that have already been set up.", async () => {
+            let environment = { log: env.log, router: express.Router() }
+            let providers = await Providers.setup([{ module: new debugProviderDependent('base') }], environment)
+            await Providers.add(providers, { module: new debugProviderDependent('dependent', ['base']) })
+            assert.ok(providers.dependent)
+            assert.ok(providers.dependent.dependenciesReady)
+            assert.ok(environment.router.stack.find(layer => layer.regexp.test('/dependent')))
+        })
+
+        it("Should not replace existing providers when adding a provider with the same name.", async () => {
+            let providers = await Providers.setup([{ module: new debugProviderBasic() }], env)
+            let previous = providers.debugBasic
+            await Providers.add(providers, { module: new debugProviderBasic() })
+            assert.equal(providers.debugBasic, previous)
+        })
+
+        it("Should remove a provider, unmounting it and calling its 'teardown' hook.", async () => {
+            let environment = { log: env.log, router: express.Router() }
+            let teardownLog = []
+            let providers = await Providers.setup([{ module: new debugProviderTeardown('removable', [], teardownLog) }], environment)
+            let router = providers.removable.environment.router
+            await Providers.remove(providers, 'removable')
+            assert.equal(providers.removable, undefined)
+            assert.deepEqual(teardownLog, ['removable'])
+            assert.equal(environment.router.stack.find(layer => layer.handle === router), undefined)
+        })
+    })
+
+    describe('openapi', () => {
+
+        it("Should collect endpoint path items under the provider mount path, merging items on the same path.", async () => {
+            let providers = await Providers.setup([{ module: new debugProviderOpenapi('inventory') }], env)
+            let document = Providers.openapi(providers, { info: { title: 'Test', version: '1.0.0' } })
+
+            assert.equal(document.openapi, '3.0.3')
+            assert.deepEqual(document.info, { title: 'Test', version: '1.0.0' })
+            assert.deepEqual(Object.keys(document.paths).sort(), ['/inventory/items', '/inventory/items/{id}'])
+            assert.equal(document.paths['/inventory/items'].get.summary, 'List items')
+            assert.equal(document.paths['/inventory/items'].post.summary, 'Create item')
+        })
+
+        it("Should convert route parameters and declare them as path parameters.", async () => {
+            let providers = await Providers.setup([{ module: new debugProviderOpenapi('inventory') }], env)
+            let document = Providers.openapi(providers, { basePath: '/api/' })
+            let pathItem = document.paths['/api/inventory/items/{id}']
+            assert.ok(pathItem)
+            assert.equal(pathItem.get.summary, 'Get item')
+            assert.deepEqual(pathItem.parameters, [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }])
+        })
+
+        it("Should tag operations by provider without modifying the endpoint declarations.", async () => {
+            let provider = new debugProviderOpenapi('inventory')
+            let providers = await Providers.setup([{ module: provider }], env)
+            let document = Providers.openapi(providers)
+            assert.deepEqual(document.paths['/inventory/items'].get.tags, ['inventory'])
+            assert.deepEqual(document.tags.map(t => t.name), ['inventory'])
+            assert.equal(provider.endpoints[0].openapi.get.tags, undefined)
+        })
+
+        it("Should leave out path item fields that are undefined.", async () => {
+            let provider = new debugProviderOpenapi('inventory')
+            provider.endpoints[0].openapi = { get: { summary: 'List items' }, summary: undefined }
+            let providers = await Providers.setup([{ module: provider }], env)
+            let document = Providers.openapi(providers)
+            assert.deepEqual(Object.keys(document.paths['/inventory/items']).sort(), ['get', 'post'])
+        })
+
+        it("Should mount the document as a JSON route if 'route' is specified.", async () => {
+            let environment = { log: env.log, router: express.Router() }
+            let providers = await Providers.setup([{ module: new debugProviderOpenapi('inventory') }], environment)
+            Providers.openapi(providers, { route: '/openapi.json' })
+
+            let layer = environment.router.stack.find(layer => layer.route && layer.route.path === '/openapi.json')
+            assert.ok(layer)
+
+            let body = null
+            layer.route.stack[0].handle({}, { json: (value) => { body = value } })
+            assert.ok(body.paths['/inventory/items'])
+        })
+    })
+
+    describe('discover', () => {
+
+        let root = null
+
+        let writeModule = (file, name) => {
+            fs.mkdirSync(path.dirname(file), { recursive: true })
+            fs.writeFileSync(file, `module.exports = { name: '${name}', setup: () => {} }`)
+        }
+
+        let writePackage = (directory, pkg) => {
+            fs.mkdirSync(directory, { recursive: true })
+            fs.writeFileSync(path.join(directory, 'package.json'), JSON.stringify(Object.assign({ main: 'index.js', version: '2.0.0' }, pkg)))
+            writeModule(path.join(directory, 'index.js'), pkg.name.replace(/[^a-zA-Z0-9]/g, ''))
+        }
+
+        before(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'morrigan-providers-'))
+            writeModule(path.join(root, 'providers', 'alpha.js'), 'alpha')
+            writeModule(path.join(root, 'providers', 'beta.cjs'), 'beta')
+            fs.writeFileSync(path.join(root, 'providers', 'notes.txt'), 'Not a provider')
+            writePackage(path.join(root, 'providers', 'gamma'), { name: 'gamma' })
+            writePackage(path.join(root, 'node_modules', 'keyword-provider'), { name: 'keyword-provider', keywords: ['morrigan-provider'] })
+            writePackage(path.join(root, 'node_modules', '@scope', 'field-provider'), { name: '@scope/field-provider', morrigan: { name: 'field' } })
+            writePackage(path.join(root, 'node_modules', 'unrelated'), { name: 'unrelated' })
+        })
+
+        after(() => {
+            fs.rmSync(root, { recursive: true, force: true })
+        })
+
+        it("Should find provider modules in directories.", async () => {
+            let specs = await Providers.discover({ directories: path.join(root, 'providers'), nodeModules: false })
+            assert.deepEqual(specs.map(s => s.moduleName), ['alpha.js', 'beta.cjs', 'gamma'].map(n => path.join(root, 'providers', n)))
+        })
+
+        it("Should find packages marked as providers in node_modules.", async () => {
+            let specs = await Providers.discover({ nodeModules: path.join(root, 'node_modules') })
+            assert.deepEqual(specs, [
+                { moduleName: path.join(root, 'node_modules', '@scope', 'field-provider'), name: 'field' },
+                { moduleName: path.join(root, 'node_modules', 'keyword-provider') }
+            ])
+        })
+
+        it("Should apply include and exclude filters.", async () => {
+            let options = { directories: path.join(root, 'providers'), nodeModules: path.join(root, 'node_modules') }
+            let included = await Providers.discover(Object.assign({ include: ['a*', /^@scope\//] }, options))
+            assert.deepEqual(included.map(s => path.basename(s.moduleName)), ['alpha.js', 'field-provider'])
+            let excluded = await Providers.discover(Object.assign({ exclude: ['keyword-*', 'gamma'] }, options))
+            assert.deepEqual(excluded.map(s => path.basename(s.moduleName)), ['alpha.js', 'beta.cjs', 'field-provider'])
+        })
+
+        it("Should apply filters and per-provider overrides from a configuration file.", async () => {
+            let configFile = path.join(root, 'providers.json')
+            fs.writeFileSync(configFile, JSON.stringify({
+                exclude: ['beta'],
+                providers: { alpha: { name: 'renamed', secret: 'abc' }, gamma: false }
+            }))
+            let specs = await Providers.discover({ directories: path.join(root, 'providers'), nodeModules: false, configFile })
+            assert.deepEqual(specs, [{ moduleName: path.join(root, 'providers', 'alpha.js'), name: 'renamed', secret: 'abc' }])
+        })
+
+        it("Should return specifications that Providers.setup accepts.", async () => {
+            let specs = await Providers.discover({ directories: path.join(root, 'providers'), nodeModules: path.join(root, 'node_modules') })
+            let providers = await Providers.setup(specs, env)
+            assert.deepEqual(Object.keys(providers).sort(), ['alpha', 'beta', 'field', 'gamma', 'keywordprovider'])
+            assert.equal(providers.gamma.version, '2.0.0')
+            assert.equal(providers.alpha.version, '0.0.0')
+        })
+    })
+
+    describe('ES modules', () => {
+
+        let root = null
+
+        before(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'morrigan-providers-esm-'))
+
+            let packageDirectory = path.join(root, 'esm-package')
+            fs.mkdirSync(path.join(packageDirectory, 'lib'), { recursive: true })
+            fs.writeFileSync(path.join(packageDirectory, 'package.json'), JSON.stringify({
+                name: 'esm-package', version: '3.1.0', type: 'module', exports: { '.': { import: './lib/main.js' } }
+            }))
+            fs.writeFileSync(path.join(packageDirectory, 'lib', 'main.js'), `export default { name: 'esmDefault', setup (environment) { this.environment = environment } }`)
+
+            fs.writeFileSync(path.join(root, 'named.mjs'), `export const name = 'esmNamed'\nexport const loadedAt = Math.random()\nexport function setup () {}`)
+        })
+
+        after(() => {
+            fs.rmSync(root, { recursive: true, force: true })
+        })
+
+        it("Should load ES module packages through their 'exports' map, unwrapping default exports.", async () => {
+            let providers = await Providers.setup([{ moduleName: path.join(root, 'esm-package') }], env)
+            assert.ok(providers.esmDefault)
+            assert.ok(providers.esmDefault.environment)
+            assert.equal(providers.esmDefault.version, '3.1.0')
+        })
+
+        it("Should load ES module files with named exports.", async () => {
+            let providers = await Providers.setup([path.join(root, 'named.mjs')], env)
+            assert.ok(providers.esmNamed)
+            assert.equal(typeof providers.esmNamed.setup, 'function')
+            assert.equal(providers.esmNamed.version, '0.0.0')
+        })
+
+        it("Should import ES modules again when reloading.", async () => {
+            let providers = await Providers.setup([path.join(root, 'named.mjs')], env)
+            let previous = providers.esmNamed
+            await Providers.reload(providers, 'esmNamed')
+            assert.notEqual(providers.esmNamed, previous)
+            assert.notEqual(providers.esmNamed.loadedAt, previous.loadedAt)
+        })
+
+        it("Should discover '.mjs' provider modules.", async () => {
+            let specs = await Providers.discover({ directories: root, nodeModules: false })
+            assert.deepEqual(specs.map(s => path.basename(s.moduleName)), ['esm-package', 'named.mjs'])
+        })
+    })
+
+    describe('health', () => {
+
+        it("Should combine 'health' hooks with the setup status of each provider.", async () => {
+            let specs = [
+                { module: new debugProviderHealth('sync', () => true) },
+                { module: new debugProviderHealth('async', async () => ({ status: 'degraded', details: { queue: 12 } })) },
+                { module: new debugProviderHealth('none') },
+                { name: 'errors', module: new debugProviderErrors() }
+            ]
+            let providers = await Providers.setup(specs, env)
+            let report = await Providers.health(providers)
+
+            assert.equal(report.status, 'failed')
+            assert.equal(report.providers.sync.status, 'ready')
+            assert.equal(report.providers.async.status, 'degraded')
+            assert.deepEqual(report.providers.async.details, { queue: 12 })
+            assert.equal(report.providers.none.status, 'ready')
+            assert.equal(report.providers.errors.status, 'failed')
+            assert.equal(report.providers.errors.setup, 'failed')
+        })
+
+        it("Should include providers that were skipped during setup as failed, unless 'includeSkipped' is false.", async () => {
+            let specs = [
+                { module: new debugProviderHealth('ok', () => true) },
+                { module: new debugProviderDependent('dep', ['missing']) },
+                { module: new debugProviderConfigurable('cfg', {}) }
+            ]
+            let providers = await Providers.setup(specs, env)
+
+            let report = await Providers.health(providers)
+            assert.equal(report.status, 'failed')
+            assert.deepEqual(Object.keys(report.providers), ['ok', 'dep', 'cfg'])
+            assert.equal(report.providers.dep.status, 'failed')
+            assert.equal(report.providers.dep.setup, 'skipped')
+            assert.match(report.providers.dep.reason, /Missing dependency 'missing'/)
+            assert.equal(report.providers.cfg.setup, 'skipped')
+
+            report = await Providers.health(providers, { includeSkipped: false })
+            assert.equal(report.status, 'ready')
+            assert.deepEqual(Object.keys(report.providers), ['ok'])
+        })
+
+        it("Should treat 'health' hooks that throw or time out as failed.", async () => {
+            let specs = [
+                { module: new debugProviderHealth('throws', () => { throw new Error('Database unreachable') }) },
+                { module: new debugProviderHealth('hangs', () => new Promise(() => { /* Never resolves */ })) }
+            ]
+            let providers = await Providers.setup(specs, env)
+            let report = await Providers.health(providers, { timeout: 10 })
+            assert.equal(report.providers.throws.status, 'failed')
+            assert.deepEqual(report.providers.throws.details, { error: 'Database unreachable' })
+            assert.equal(report.providers.hangs.status, 'failed')
+        })
+
+        it("Should mount liveness and readiness routes.", async () => {
+            let environment = { log: env.log, router: express.Router() }
+            let state = { status: 'ready' }
+            let providers = await Providers.setup([{ module: new debugProviderHealth('toggle', () => state.status) }], environment)
+            await Providers.health(providers, { livenessRoute: '/health/live', readinessRoute: '/health/ready' })
+
+            let server = await debugServer(environment.router)
+            try {
+                let live = await debugRequest(server, 'GET', '/health/live')
+                assert.equal(live.status, 200)
+
+                let ready = await debugRequest(server, 'GET', '/health/ready')
+                assert.equal(ready.status, 200)
+                assert.equal(ready.body.status, 'ready')
+
+                state.status = 'failed'
+                let notReady = await debugRequest(server, 'GET', '/health/ready')
+                assert.equal(notReady.status, 503)
+                assert.equal(notReady.body.providers.toggle.status, 'failed')
+            } finally {
+                await new Promise(resolve => server.close(resolve))
+            }
+        })
+    })
+
+    describe('registry', () => {
+
+        it("Should give each provider a registry where services can be provided and consumed.", async () => {
+            let consumed = null
+            let specs = [
+                { module: new debugProviderRegistry('consumer', async (environment) => {
+                    consumed = await environment.registry.consume('greeter', { timeout: 1000 })
+                }, { producer: '^1.0.0' }) },
+                { module: new debugProviderRegistry('producer', (environment) => {
+                    environment.registry.provide('greeter', { greet: (who) => `Hello ${who}` })
+                }) }
+            ]
+            let environment = { log: env.log }
+            await Providers.setup(specs, environment)
+            assert.ok(consumed)
+            assert.equal(consumed.greet('world'), 'Hello world')
+            assert.deepEqual(environment.registry.services(), { greeter: 'producer' })
+        })
+
+        it("Should resolve consumers once the service is provided, and reject them on timeout.", async () => {
+            let environment = { log: env.log }
+            await Providers.setup([{ module: new debugProviderRegistry('lazy', () => {}) }], environment)
+            let registry = environment.registry
+
+            let pending = registry.consume('late')
+            registry.provide('late', 42, 'lazy')
+            assert.equal(await pending, 42)
+
+            await assert.rejects(registry.consume('never', { timeout: 10 }), /not provided within 10ms/)
+        })
+
+        it("Should tag events with the name of the sending provider.", async () => {
+            let received = []
+            let providers = {}
+            let specs = [
+                { module: new debugProviderRegistry('listener', (environment) => {
+                    environment.registry.subscribe('sender.*', (payload, meta) => received.push({ payload, meta }))
+                }) },
+                { module: new debugProviderRegistry('sender', (environment) => {
+                    providers.send = (payload) => environment.registry.publish('created', payload)
+                }) }
+            ]
+            await Providers.setup(specs, { log: env.log })
+            await providers.send({ id: 1 })
+            assert.equal(received.length, 1)
+            assert.deepEqual(received[0].payload, { id: 1 })
+            assert.equal(received[0].meta.event, 'sender.created')
+            assert.equal(received[0].meta.sender, 'sender')
+        })
+
+        it("Should log subscriber errors without failing the publisher.", async () => {
+            let messages = []
+            let environment = { log: (msg, level) => { if (level === 'error') messages.push(msg) } }
+            await Providers.setup([{ module: new debugProviderRegistry('quiet', () => {}) }], environment)
+            environment.registry.subscribe('*', () => { throw new Error('Broken subscriber') }, 'quiet')
+            await environment.registry.publish('ping', null, 'other')
+            assert.ok(messages.some(m => /Broken subscriber/.test(m)))
+        })
+
+        it("Should release services and subscriptions when a provider is torn down.", async () => {
+            let calls = 0
+            let environment = { log: env.log }
+            let providers = await Providers.setup([{ module: new debugProviderRegistry('temporary', (environment) => {
+                environment.registry.provide('temp', {})
+                environment.registry.subscribe('*', () => { calls++ })
+            }) }], environment)
+
+            await Providers.remove(providers, 'temporary')
+            assert.deepEqual(environment.registry.services(), {})
+            await environment.registry.publish('ping', null, 'other')
+            assert.equal(calls, 0)
+        })
+    })
+
+    describe('configuration', () => {
+
+        let withVariables = async (variables, action) => {
+            Object.assign(process.env, variables)
+            try {
+                return await action()
+            } finally {
+                Object.keys(variables).forEach(v => delete process.env[v])
+            }
+        }
+
+        it("Should validate the configuration against 'configSchema' and apply defaults.", async () => {
+            let received = {}
+            let config = { port: 8080 }
+            let providers = await Providers.setup([{ module: new debugProviderConfigurable('configured', received), config }], env)
+            assert.ok(providers.configured)
+            assert.deepEqual(received.config, { port: 8080, secure: false, maxConnections: 10 })
+            assert.deepEqual(config, { port: 8080 }, 'The configuration passed by the caller should not be modified.')
+        })
+
+        it("Should override configuration keys with 'MORRIGAN_<NAME>_<KEY>' environment variables.", async () => {
+            let received = {}
+            await withVariables({
+                MORRIGAN_WEB_API_PORT: '9000',
+                MORRIGAN_WEB_API_SECURE: 'true',
+                MORRIGAN_WEB_API_MAX_CONNECTIONS: '2.5',
+                MORRIGAN_WEB_API_ORIGINS: '["https://example.com"]'
+            }, () => Providers.setup([{ module: new debugProviderConfigurable('web-api', received), config: { port: 80 } }], env))
+            assert.deepEqual(received.config, { port: 9000, secure: true, maxConnections: 2.5, origins: ['https://example.com'] })
+        })
+
+        it("Should refuse to load providers with an invalid configuration, describing every violation.", async () => {
+            let received = {}
+            let module = new debugProviderConfigurable('invalid', received)
+            let providers = await withVariables({ MORRIGAN_INVALID_SECURE: 'maybe' },
+                () => Providers.setup([{ module, config: { port: 0, extra: true } }], env))
+
+            assert.ok(!providers.invalid)
+            assert.equal(received.config, undefined, "'.setup' should not be called.")
+            assert.ok(module.error instanceof Error)
+            assert.match(module.error.message, /config\.port must be >= 1/)
+            assert.match(module.error.message, /config\.secure must be boolean/)
+            assert.match(module.error.message, /must NOT have additional properties/)
+
+            let entry = Providers.lastReport.providers[0]
+            assert.equal(entry.status, 'skipped')
+            assert.match(entry.reason, /^Invalid configuration:/)
+        })
+    })
+
+    describe('compatibility', () => {
+
+        let root = null
+        let utilityVersion = require('../package.json').version
+
+        before(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'morrigan-compatibility-'))
+            let directory = path.join(root, 'peer-provider')
+            fs.mkdirSync(directory)
+            fs.writeFileSync(path.join(directory, 'package.json'), JSON.stringify({
+                name: 'peer-provider',
+                version: '1.0.0',
+                main: 'index.js',
+                peerDependencies: { '@adicitus/morrigan.utils.providers': '^1.0.0' },
+                engines: { morrigan: '>=3.0.0' }
+            }))
+            fs.writeFileSync(path.join(directory, 'index.js'), `module.exports = { name: 'peer', setup: () => {} }`)
+        })
+
+        after(() => {
+            fs.rmSync(root, { recursive: true, force: true })
+        })
+
+        it("Should load providers whose declared ranges are satisfied.", async () => {
+            let specs = [{ module: new debugProviderCompatible('compatible', { providers: `^${utilityVersion}`, host: '^2.0.0' }) }]
+            let providers = await Providers.setup(specs, { log: env.log, host: '2.4.1' })
+            assert.ok(providers.compatible)
+        })
+
+        it("Should refuse providers whose declared ranges are not satisfied.", async () => {
+            let module = new debugProviderCompatible('outdated', { providers: '<1.0.0' })
+            let providers = await Providers.setup([{ module }], { log: env.log })
+            assert.equal(providers.outdated, undefined)
+            assert.match(module.error.message, /requires @adicitus\/morrigan\.utils\.providers '<1\.0\.0'/)
+            assert.equal(Providers.lastReport.providers[0].status, 'skipped')
+        })
+
+        it("Should check package.json 'peerDependencies' and 'engines' against the utility and host versions.", async () => {
+            let providers = await Providers.setup([path.join(root, 'peer-provider')], { log: env.log, host: { name: 'morrigan', version: '2.0.0' } })
+            assert.equal(providers.peer, undefined)
+            let reason = Providers.lastReport.providers[0].reason
+            assert.match(reason, /package\.json 'peerDependencies'/)
+            assert.match(reason, /requires morrigan '>=3\.0\.0' \(package\.json 'engines\.morrigan'\), found v2\.0\.0/)
+        })
+
+        it("Should only warn about incompatible providers if the policy is 'warn'.", async () => {
+            let messages = []
+            let environment = { log: (msg, level) => messages.push({ msg, level }), host: '1.0.0', compatibilityPolicy: 'warn' }
+            let providers = await Providers.setup([{ module: new debugProviderCompatible('tolerated', { host: '^2.0.0' }) }], environment)
+            assert.ok(providers.tolerated)
+            assert.ok(messages.some(m => m.level === 'warn' && /incompatible/.test(m.msg)))
+            assert.equal(Providers.lastReport.providers[0].warnings.length, 1)
+        })
+
+        it("Should skip the check if the policy is 'ignore'.", async () => {
+            let providers = await Providers.setup([{ module: new debugProviderCompatible('ignored', { providers: '<1.0.0' }) }], { log: env.log, compatibilityPolicy: 'ignore' })
+            assert.ok(providers.ignored)
+        })
+    })
+
+    describe('logging', () => {
+
+        it("Should give each provider a child logger that attaches the provider name and version.", async () => {
+            let entries = []
+            await Providers.setup([{ module: new debugProviderLogging('attributed') }], { log: (msg, level, fields) => { if (fields) entries.push({ msg, level, fields }) } })
+            assert.deepEqual(entries, [
+                { msg: 'Plain message', level: 'info', fields: { provider: 'attributed', version: '2.1.0' } },
+                { msg: { event: 'connected', attempts: 3 }, level: 'debug', fields: { provider: 'attributed', version: '2.1.0' } },
+                { msg: 'Cache miss', level: 'warn', fields: { provider: 'attributed', version: '2.1.0', component: 'cache' } }
+            ])
+        })
+
+        it("Should drop provider log entries below 'environment.logLevel'.", async () => {
+            let levels = []
+            await Providers.setup([{ module: new debugProviderLogging('filtered') }], { log: (msg, level, fields) => { if (fields) levels.push(level) }, logLevel: 'warn' })
+            assert.deepEqual(levels, ['warn'])
+        })
+
+        it("Should write structured JSON lines with Providers.createLogger.", async () => {
+            let lines = []
+            let log = Providers.createLogger({ level: 'info', write: line => lines.push(line) })
+            await Providers.setup([{ module: new debugProviderLogging('structured') }], { log })
+
+            let entries = lines.map(line => JSON.parse(line)).filter(entry => entry.provider === 'structured')
+            assert.equal(entries.length, 2)
+            assert.equal(entries[0].message, 'Plain message')
+            assert.equal(entries[0].level, 'info')
+            assert.equal(entries[0].version, '2.1.0')
+            assert.ok(entries[0].time)
+            assert.deepEqual([entries[1].message, entries[1].component], ['Cache miss', 'cache'])
+
+            log(new Error('Failure'), 'error')
+            let error = JSON.parse(lines.pop())
+            assert.equal(error.error.message, 'Failure')
+            assert.ok(error.error.stack)
+        })
+
+        it("Should expose a JSON-lines logger as Providers.jsonLogger.", () => {
+            assert.equal(typeof Providers.jsonLogger, 'function')
+        })
+    })
+
+    describe('metrics', () => {
+
+        let server = null
+        let providers = null
+        let environment = null
+
+        before(async () => {
+            environment = { log: env.log, router: express.Router() }
+            providers = await Providers.setup([{ module: new debugProviderFailingEndpoints() }, { module: new debugProviderTeardown('sockets', [], []) }], environment)
+            Providers.metrics(providers, { route: '/metrics' })
+            server = await debugServer(environment.router)
+        })
+
+        after(async () => {
+            Providers.closeConnections(providers)
+            await new Promise(resolve => server.close(resolve))
+        })
+
+        it("Should count requests and record latencies by provider, method, route template and status.", async () => {
+            await debugRequest(server, 'GET', '/failing/status')
+            await debugRequest(server, 'GET', '/failing/status')
+            await debugRequest(server, 'GET', '/failing/sync')
+
+            let snapshot = Providers.metrics(providers)
+            let requests = snapshot.morrigan_http_requests_total.values
+            assert.deepEqual(requests.find(v => v.labels.status === '404'), { labels: { status: '404', provider: 'failing', method: 'GET', route: '/failing/status' }, value: 2 })
+            assert.equal(requests.find(v => v.labels.status === '500').value, 1)
+
+            let durations = snapshot.morrigan_http_request_duration_seconds.values.find(v => v.labels.route === '/failing/status')
+            assert.equal(durations.count, 2)
+            assert.equal(durations.buckets['+Inf'], 2)
+        })
+
+        it("Should record WebSocket connections and setup durations.", async () => {
+            let client = new WebSocket(`ws://127.0.0.1:${server.address().port}/sockets/socket`)
+            await new Promise((resolve, reject) => { client.once('message', resolve); client.once('error', reject) })
+
+            let snapshot = Providers.metrics(providers)
+            let labels = { provider: 'sockets', route: '/sockets/socket' }
+            assert.deepEqual(snapshot.morrigan_ws_connections_total.values, [{ labels, value: 1 }])
+            assert.deepEqual(snapshot.morrigan_ws_connections_open.values, [{ labels, value: 1 }])
+
+            await new Promise(resolve => { client.once('close', resolve); client.close() })
+            await new Promise(resolve => setTimeout(resolve, 10))
+            assert.equal(Providers.metrics(providers).morrigan_ws_connections_open.values[0].value, 0)
+
+            let setup = Providers.metrics(providers).morrigan_provider_setup_duration_seconds.values
+            assert.deepEqual(setup.map(v => v.labels.provider).sort(), ['failing', 'sockets'])
+        })
+
+        it("Should serve the metrics in the Prometheus text format.", async () => {
+            let response = await debugRequest(server, 'GET', '/metrics')
+            assert.equal(response.status, 200)
+            assert.match(response.headers['content-type'], /^text\/plain;.*version=0\.0\.4/)
+            assert.match(response.body, /# TYPE morrigan_http_requests_total counter/)
+            assert.match(response.body, /morrigan_http_requests_total\{status="404",provider="failing",method="GET",route="\/failing\/status"\} 2/)
+            assert.match(response.body, /morrigan_http_request_duration_seconds_bucket\{provider="failing",method="GET",route="\/failing\/status",le="\+Inf"\} 2/)
+            assert.equal(Providers.metrics(providers, { format: 'prometheus' }).split('\n')[0], '# HELP morrigan_http_requests_total Number of HTTP requests handled by provider endpoints.')
+        })
+    })
+
+    describe('capabilities', () => {
+
+        it("Should give providers that declare 'requires' a frozen environment with only the required keys and the defaults.", async () => {
+            let environment = { log: env.log, router: express.Router(), state: env.state, db: { query: () => [] }, secret: 'hunter2' }
+            let providers = await Providers.setup([{ module: new debugProviderCapable('scoped', ['state', 'db']) }], environment)
+            let scoped = providers.scoped.environment
+
+            assert.ok(Object.isFrozen(scoped))
+            assert.deepEqual(Object.keys(scoped).sort(), ['db', 'log', 'registry', 'router', 'setStatus', 'state'])
+            assert.equal(scoped.db, environment.db)
+            assert.notEqual(scoped.router, environment.router)
+            assert.equal(scoped.secret, undefined)
+        })
+
+        it("Should report undeclared keys that are accessed and required keys that are missing.", async () => {
+            let warnings = []
+            let environment = { log: (msg, level) => { if (level === 'warn') warnings.push(msg) }, secret: 'hunter2' }
+            let providers = await Providers.setup([{ module: new debugProviderCapable('curious', ['cache']) }], environment)
+            assert.equal(providers.curious.environment.secret, undefined)
+            assert.equal(providers.curious.environment.secret, undefined)
+
+            assert.ok(warnings.some(w => /requires 'cache', but the environment does not provide it/.test(w)))
+            assert.equal(warnings.filter(w => /accessed the environment key 'secret'/.test(w)).length, 1)
+        })
+
+        it("Should give providers that do not declare 'requires' a copy of the whole environment, unless 'scopeEnvironments' is set.", async () => {
+            let providers = await Providers.setup([{ module: new debugProviderCapable('legacy') }], { log: env.log, secret: 'hunter2' })
+            assert.equal(providers.legacy.environment.secret, 'hunter2')
+            assert.ok(!Object.isFrozen(providers.legacy.environment))
+
+            providers = await Providers.setup([{ module: new debugProviderCapable('enforced') }], { log: env.log, secret: 'hunter2', scopeEnvironments: true })
+            assert.equal(providers.enforced.environment.secret, undefined)
+            assert.deepEqual(Object.keys(providers.enforced.environment).sort(), ['log', 'registry', 'router', 'setStatus'])
+        })
+    })
+
+    describe('validate', () => {
+
+        it("Should resolve specifications and build the route table without setting up the providers.", async () => {
+            let provider = new debugProviderSecured()
+            let result = await Providers.validate([{ module: provider }, { name: 'bad/name', module: new debugProviderBasic() }])
+
+            assert.equal(result.valid, false)
+            assert.deepEqual(result.providers.map(p => p.status), ['valid', 'skipped'])
+            assert.equal(provider.environment, undefined, "'.setup' should not be called.")
+            assert.deepEqual(result.routes.find(r => r.method === 'GET' && r.path === '/secured/orders'), { provider: 'secured', method: 'GET', path: '/secured/orders', security: 'environment + scopes: orders:read' })
+            assert.equal(result.routes.find(r => r.path === '/secured/public').security, 'none')
+            assert.equal(result.providers[0].endpoints.rejected[0].route, '/invalid')
+        })
+
+        it("Should check dependencies and add valid providers to the given providers object.", async () => {
+            let providers = {}
+            let result = await Providers.validate([
+                { module: new debugProviderDependent('dependent', { base: '^2.0.0' }) },
+                { module: new debugProviderDependent('base', []) }
+            ], null, providers)
+            assert.equal(result.providers[0].status, 'skipped')
+            assert.match(result.providers[0].reason, /does not satisfy/)
+            assert.deepEqual(Object.keys(providers), ['base'])
+        })
+
+        it("Should skip providers whose version is not a semantic version, and the providers that depend on them.", async () => {
+            let shop = new debugProviderDependent('shop', [])
+            shop.version = 'not-a-version'
+            let result = await Providers.validate([{ module: shop }, { module: new debugProviderDependent('cart', ['shop']) }])
+            assert.equal(result.valid, false)
+            assert.deepEqual(result.providers.map(p => p.status), ['skipped', 'skipped'])
+            assert.match(result.providers[0].reason, /Invalid version 'not-a-version'/)
+            assert.match(result.providers[1].reason, /shop/)
+        })
+
+        it("Should resolve dependencies on providers that are already in the given providers object without validating them.", async () => {
+            let providers = { base: new debugProviderDependent('base', ['missing']) }
+            let result = await Providers.validate([{ module: new debugProviderDependent('dependent', ['base']) }], null, providers)
+            assert.equal(result.valid, true)
+            assert.deepEqual(result.providers.map(p => p.name), ['dependent'])
+            assert.deepEqual(Object.keys(providers).sort(), ['base', 'dependent'])
+        })
+
+        it("Should report route conflicts, and reject conflicting endpoints with the 'error' policy.", async () => {
+            let module = { name: 'routes', version: '1.0.0', endpoints: [{ method: 'get', route: '/:id', handler: () => {} }, { method: 'get', route: '/list', handler: () => {} }] }
+
+            let result = await Providers.validate([{ module }])
+            assert.equal(result.valid, true)
+            assert.equal(result.routes.length, 2)
+            assert.match(result.providers[0].warnings[0], /shadowed/)
+
+            result = await Providers.validate([{ module }], { routeConflictPolicy: 'error' })
+            assert.equal(result.valid, false)
+            assert.deepEqual(result.routes.map(r => r.path), ['/routes/:id'])
+            assert.equal(result.providers[0].endpoints.conflicts[0].type, 'shadowed')
+        })
+    })
+
+    describe('testing', () => {
+
+        it("Should mount providers on an ephemeral port with an in-memory StateStore and capture their log entries.", async () => {
+            let harness = await Providers.testing([{ module: new debugProviderCounter() }])
+            try {
+                harness.assertNoSetupErrors()
+                assert.deepEqual((await harness.post('/counter/count', { body: { by: 2 } })).body, { count: 2 })
+                let response = await harness.request('POST', '/counter/count', { body: { by: 3 } })
+                assert.equal(response.status, 200)
+                assert.deepEqual(response.body, { count: 5 })
+                assert.equal(await (await harness.state.getStore('counter', 'simple')).get('count'), 5)
+                assert.equal((await harness.get('/counter/missing')).status, 404)
+
+                harness.assertLogged('Counter ready.', 'info')
+                assert.equal(harness.logged(/Counter ready/)[0].provider, 'counter')
+                harness.assertNotLogged(/Counter ready/, 'error')
+                assert.throws(() => harness.assertLogged('Never logged'), assert.AssertionError)
+            } finally {
+                await harness.close()
+            }
+        })
+
+        it("Should connect to 'ws' endpoints and expose connections that are refused through 'closed'.", async () => {
+            let harness = await Providers.testing([{ module: new debugProviderCounter() }], { state: false })
+            try {
+                let connection = await harness.socket('/counter/echo')
+                connection.send({ hello: 'world' })
+                assert.deepEqual(await connection.next(), { hello: 'world' })
+                connection.send('text')
+                assert.equal(await connection.next(), 'text')
+                assert.deepEqual(connection.messages, [{ hello: 'world' }, 'text'])
+                connection.close()
+                assert.equal((await connection.closed).code, 1005)
+
+                let refused = await harness.socket('/counter/private')
+                assert.equal((await refused.closed).code, 4403)
+                await assert.rejects(refused.next(), /closed/)
+            } finally {
+                await harness.close()
+            }
+        })
+
+        it("Should report providers that were skipped or failed during setup.", async () => {
+            let failing = { name: 'failing', version: '1.0.0', setup: () => { throw new Error('No database') } }
+            let dependent = { name: 'dependent', version: '1.0.0', dependencies: ['missing'] }
+            let harness = await Providers.testing([{ module: failing }, { module: dependent }, { module: new debugProviderCounter() }])
+            try {
+                assert.deepEqual(Object.keys(harness.setupErrors()).sort(), ['dependent', 'failing'])
+                harness.assertSetupError('failing', /No database/)
+                harness.assertSetupError('dependent', "Missing dependency 'missing'")
+                assert.throws(() => harness.assertSetupError('counter'), assert.AssertionError)
+                assert.throws(() => harness.assertNoSetupErrors(), /failing: .*No database/)
+                harness.assertLogged(/No database/, 'error')
+            } finally {
+                await harness.close()
+            }
+            assert.equal(harness.server.listening, false)
+            assert.deepEqual(Object.keys(harness.providers), [])
+        })
+
+        it("Should keep the setup errors of harnesses started concurrently apart.", async () => {
+            let broken = { name: 'broken', version: '1.0.0', setup: () => { throw new Error('No database') } }
+            let harnesses = await Promise.all([
+                Providers.testing([{ module: new debugProviderCounter() }]),
+                Providers.testing([{ module: broken }])
+            ])
+            try {
+                harnesses[0].assertNoSetupErrors()
+                assert.deepEqual(harnesses[0].report.providers.map(entry => entry.name), ['counter'])
+                harnesses[1].assertSetupError('broken', /No database/)
+            } finally {
+                await Promise.all(harnesses.map(harness => harness.close()))
+            }
+        })
+    })
+
+    describe('rate limiting', () => {
+
+        let handler = (req, res) => res.json({ ok: true })
+        it("Should answer requests over the provider's default limit with 429 and 'Retry-After', unless the endpoint opts out.", async () => {
+            let harness = await Providers.testing([{ module: new debugProviderLimited() }])
+            try {
+                let first = await harness.get('/limited/default')
+                assert.equal(first.status, 200)
+                assert.equal(first.headers['ratelimit-limit'], '2')
+                assert.equal(first.headers['ratelimit-remaining'], '1')
+                assert.equal((await harness.get('/limited/default')).status, 200)
+
+                let response = await harness.get('/limited/default')
+                assert.equal(response.status, 429)
+                assert.equal(response.headers['retry-after'], '30')
+                assert.equal(response.body.retryAfter, 30)
+                assert.equal(response.body.provider, 'limited')
+
+                for (let i = 0; i < 3; i++) {
+                    assert.equal((await harness.get('/limited/unlimited')).status, 200)
+                }
+            } finally {
+                await harness.close()
+            }
+        })
+
+        it("Should refill buckets over the window and limit WebSocket connections by closing them with 4429.", async () => {
+            let harness = await Providers.testing([{ module: new debugProviderLimited() }])
+            try {
+                assert.equal((await harness.get('/limited/refill')).status, 200)
+                assert.equal((await harness.get('/limited/refill')).status, 429)
+                await new Promise(resolve => setTimeout(resolve, 60))
+                assert.equal((await harness.get('/limited/refill')).status, 200)
+
+                let connection = await harness.socket('/limited/socket')
+                assert.equal(await connection.next(), 'hello')
+                connection.close()
+                let refused = await harness.socket('/limited/socket')
+                assert.equal((await refused.closed).code, 4429)
+            } finally {
+                await harness.close()
+            }
+        })
+
+        it("Should key buckets by principal or by a custom function.", async () => {
+            let module = new debugProviderLimited({
+                rateLimit: { limit: 1, key: 'principal' },
+                endpoints: [
+                    { route: '/principal', method: 'get', handler },
+                    { route: '/tenant', method: 'get', rateLimit: { limit: 1, key: (req) => req.get('x-tenant') }, handler }
+                ]
+            })
+            let harness = await Providers.testing([{ module }], { environment: { principal: (req) => req.get('x-user') } })
+            try {
+                assert.equal((await harness.get('/limited/principal', { headers: { 'x-user': 'alice' } })).status, 200)
+                assert.equal((await harness.get('/limited/principal', { headers: { 'x-user': 'alice' } })).status, 429)
+                assert.equal((await harness.get('/limited/principal', { headers: { 'x-user': 'bob' } })).status, 200)
+                // Anonymous requests are limited by IP address:
+                assert.equal((await harness.get('/limited/principal')).status, 200)
+                assert.equal((await harness.get('/limited/principal')).status, 429)
+
+                assert.equal((await harness.get('/limited/tenant', { headers: { 'x-tenant': 'a' } })).status, 200)
+                assert.equal((await harness.get('/limited/tenant', { headers: { 'x-tenant': 'b' } })).status, 200)
+                assert.equal((await harness.get('/limited/tenant', { headers: { 'x-tenant': 'a' } })).status, 429)
+            } finally {
+                await harness.close()
+            }
+        })
+
+        it("Should keep buckets in the provider's StateStore or a custom store, letting requests through if the store fails.", async () => {
+            let failing = { get: async () => { throw new Error('Store offline') }, set: async () => {} }
+            let module = new debugProviderLimited({
+                endpoints: [
+                    { route: '/state', method: 'get', rateLimit: { limit: 1, store: 'state' }, handler },
+                    { route: '/failing', method: 'get', rateLimit: { limit: 1, store: failing }, handler }
+                ]
+            })
+            let harness = await Providers.testing([{ module }])
+            try {
+                assert.equal((await harness.get('/limited/state')).status, 200)
+                assert.equal((await harness.get('/limited/state')).status, 429)
+                let store = await harness.state.getStore('limited', 'simple')
+                assert.equal((await store.get('rate-limit:limited:GET /state:ip:127.0.0.1')).tokens < 1, true)
+
+                assert.equal((await harness.get('/limited/failing')).status, 200)
+                assert.equal((await harness.get('/limited/failing')).status, 200)
+                harness.assertLogged(/Store offline/, 'error')
+            } finally {
+                await harness.close()
+            }
+        })
+
+        it("Should remove buckets kept in the provider's StateStore once they have refilled.", async () => {
+            let module = new debugProviderLimited({
+                endpoints: [{ route: '/state', method: 'get', rateLimit: { limit: 1, window: 20, store: 'state', key: (req) => req.get('x-client') }, handler }]
+            })
+            let interval = Providers.rateLimitSweepInterval
+            Providers.rateLimitSweepInterval = 0
+            let harness = await Providers.testing([{ module }])
+            try {
+                let store = await harness.state.getStore('limited', 'simple')
+                let key = (client) => `rate-limit:limited:GET /state:${client}`
+
+                await harness.get('/limited/state', { headers: { 'x-client': 'a' } })
+                await harness.get('/limited/state', { headers: { 'x-client': 'b' } })
+                assert.ok(await store.get(key('a')))
+                assert.deepEqual(Object.keys(await store.get('morrigan.rateLimitIndex')), [key('a'), key('b')])
+
+                await new Promise(resolve => setTimeout(resolve, 30))
+                await harness.get('/limited/state', { headers: { 'x-client': 'c' } })
+                assert.equal(await store.get(key('a')), null)
+                assert.equal(await store.get(key('b')), null)
+                assert.deepEqual(Object.keys(await store.get('morrigan.rateLimitIndex')), [key('c')])
+            } finally {
+                Providers.rateLimitSweepInterval = interval
+                await harness.close()
+            }
+        })
+
+        it("Should reject invalid rate limit declarations.", async () => {
+            await Providers.setup([{ module: new debugProviderLimited({ endpoints: [
+                { route: '/zero', method: 'get', rateLimit: { limit: 0 }, handler },
+                { route: '/key', method: 'get', rateLimit: { limit: 1, key: 'cookie' }, handler },
+                { route: '/store', method: 'get', rateLimit: { limit: 1, store: {} }, handler }
+            ] }) }], { log: env.log, router: express.Router() })
+            let rejected = Providers.lastReport.providers[0].endpoints.rejected
+            assert.deepEqual(rejected.map(e => e.route), ['/zero', '/key', '/store'])
+            assert.match(rejected[1].reason, /'rateLimit.key' should be one of 'ip', 'principal'/)
+        })
+    })
+
+    describe('state migrations', () => {
+
+        let v1 = async (state) => { await state.set('settings', { color: 'red' }) }
+        let v2 = async (state) => { let settings = await state.get('settings'); await state.set('settings', { colors: [settings.color] }) }
+        let v3 = async (state) => { let settings = await state.get('settings'); await state.set('settings', { colors: settings.colors, size: 1 }) }
+
+        it("Should run pending migrations in order before '.setup' and record the version in the provider's StateStore.", async () => {
+            let calls = []
+            let track = (migration) => async (state, details) => { calls.push(`${details.from}->${details.to}`); await migration(state) }
+
+            let module = new debugProviderVersioned([track(v1), track(v2)])
+            let harness = await Providers.testing([{ module }])
+            await harness.close()
+            harness.assertNoSetupErrors()
+            assert.deepEqual(calls, ['0->1', '1->2'])
+            assert.deepEqual(module.seen, { colors: ['red'] })
+            let store = await harness.state.getStore('versioned', 'simple')
+            assert.equal(await store.get('morrigan.stateVersion'), 2)
+
+            calls = []
+            let upgraded = await Providers.testing([{ module: new debugProviderVersioned([track(v1), track(v2), track(v3)], { stateVersion: 3 }) }], { environment: { state: harness.state } })
+            try {
+                upgraded.assertNoSetupErrors()
+                assert.deepEqual(calls, ['2->3'])
+                assert.deepEqual((await upgraded.get('/versioned/settings')).body, { colors: ['red'], size: 1 })
+                upgraded.assertLogged("from version 2 to 3")
+            } finally {
+                await upgraded.close()
+            }
+        })
+
+        it("Should refuse to set up providers whose persisted state is newer than their 'stateVersion'.", async () => {
+            let harness = await Providers.testing([{ module: new debugProviderVersioned([v1, v2]) }])
+            await harness.close()
+
+            let setup = false
+            let downgraded = await Providers.testing([{ module: new debugProviderVersioned([v1], { setup: () => { setup = true } }) }], { environment: { state: harness.state } })
+            try {
+                assert.equal(setup, false)
+                downgraded.assertSetupError('versioned', /version 2, which is newer than the version supported by this provider \(1\)/)
+                assert.match(downgraded.report.providers[0].reason, /^The state migration was refused/)
+                assert.equal((await downgraded.get('/versioned/settings')).status, 503)
+                assert.equal(Providers.status(downgraded.providers, 'versioned').status, 'failed')
+            } finally {
+                await downgraded.close()
+            }
+        })
+
+        it("Should refuse to set up providers whose migrations fail, keeping the version of the last successful migration.", async () => {
+            let broken = async () => { throw new Error('Corrupt settings') }
+            let harness = await Providers.testing([{ module: new debugProviderVersioned([v1, broken]) }])
+            try {
+                harness.assertSetupError('versioned', /from version 1 to 2 failed: Corrupt settings/)
+                let store = await harness.state.getStore('versioned', 'simple')
+                assert.equal(await store.get('morrigan.stateVersion'), 1)
+            } finally {
+                await harness.close()
+            }
+
+            let invalid = await Providers.testing([{ module: new debugProviderVersioned([v1], { stateVersion: 2 }) }])
+            await invalid.close()
+            invalid.assertSetupError('versioned', /'stateVersion' is 2, but 1 migration\(s\) are declared/)
+        })
+    })
+
+    describe('morrigan-providers CLI', () => {
+
+        let root = null
+        let bin = path.join(__dirname, '..', 'bin', 'morrigan-providers.js')
+
+        let run = (...args) => new Promise(resolve => {
+            execFile(process.execPath, [bin, ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+                resolve({ code: error ? error.code : 0, stdout, stderr })
+            })
+        })
+
+        before(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'morrigan-cli-'))
+            fs.writeFileSync(path.join(root, 'shop.js'), `module.exports = {
+                name: 'shop',
+                version: '1.2.0',
+                endpoints: [
+                    { route: '/items', method: 'get', security: { scopes: ['shop:read'] }, handler: () => {}, openapi: { get: { summary: 'List items', responses: {} } } },
+                    { route: '/socket', method: 'ws', security: null, handler: () => {} }
+                ]
+            }`)
+            fs.writeFileSync(path.join(root, 'valid.json'), JSON.stringify(['./shop.js']))
+            fs.writeFileSync(path.join(root, 'invalid.json'), JSON.stringify(['./shop.js', { module: './shop.js', name: 'bad/name' }]))
+        })
+
+        after(() => {
+            fs.rmSync(root, { recursive: true, force: true })
+        })
+
+        it("Should print the route table and exit with 0 for valid specifications.", async () => {
+            let result = await run(path.join(root, 'valid.json'))
+            assert.equal(result.code, 0)
+            assert.match(result.stdout, /OK {6}shop v1\.2\.0/)
+            assert.match(result.stdout, /GET +\/shop\/items +environment \+ scopes: shop:read/)
+            assert.match(result.stdout, /WS +\/shop\/socket +none/)
+        })
+
+        it("Should exit with 1 for invalid specifications.", async () => {
+            let result = await run(path.join(root, 'invalid.json'), '--json')
+            assert.equal(result.code, 1)
+            let output = JSON.parse(result.stdout)
+            assert.equal(output.valid, false)
+            assert.match(output.providers[1].reason, /Invalid provider name 'bad\/name'/)
+        })
+
+        it("Should write the OpenAPI document to a file.", async () => {
+            let file = path.join(root, 'openapi.json')
+            let result = await run(path.join(root, 'valid.json'), '--openapi', file, '--base-path', '/api')
+            assert.equal(result.code, 0)
+            let document = JSON.parse(fs.readFileSync(file, 'utf8'))
+            assert.equal(document.paths['/api/shop/items'].get.summary, 'List items')
+        })
+
+        it("Should exit with 2 on usage errors.", async () => {
+            assert.equal((await run()).code, 2)
+            assert.equal((await run(path.join(root, 'missing.json'))).code, 2)
+
+            let result = await run(path.join(root, 'valid.json'), '--collision', 'bogus')
+            assert.equal(result.code, 2)
+            assert.match(result.stderr, /Invalid value 'bogus' for --collision/)
+            assert.equal((await run(path.join(root, 'valid.json'), '--route-conflicts', 'nonsense')).code, 2)
+            assert.equal((await run(path.join(root, 'valid.json'), '--collision', 'suffix', '--route-conflicts', 'error')).code, 0)
+        })
     })
 })